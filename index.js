@@ -27,15 +27,68 @@ module.exports = {
         name: 'CHATGPT_MODEL',
         label: 'Model',
         type: 'string',
-        required: true,
-        description: 'Chat model to use (e.g., gpt-4o, gpt-4o-mini).'
+        required: false,
+        description: 'Chat model to use (e.g., gpt-4o, gpt-4o-mini). Required unless a stored prompt is used.'
       },
       {
         name: 'CHATGPT_PROMPT',
         label: 'System Prompt',
         type: 'text',
         required: false,
-        description: 'Optional system prompt to initialize the assistant.'
+        description: 'Optional system prompt to initialize the assistant, may contain {{variable}} placeholders.'
+      },
+      {
+        name: 'CHATGPT_PROMPT_FILE',
+        label: 'System Prompt File',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Path of a file with the system prompt, instead of the System Prompt capability.'
+      },
+      {
+        name: 'CHATGPT_PROMPT_VARIABLES',
+        label: 'System Prompt Variables',
+        type: 'json',
+        required: false,
+        advanced: true,
+        description: 'JSON object (or path to a JSON file) with values for the {{variable}} placeholders of the system prompt.'
+      },
+      {
+        name: 'CHATGPT_STORED_PROMPT_ID',
+        label: 'Stored Prompt ID',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'ID of a prompt stored in the OpenAI dashboard (pmpt_...), passed as prompt parameter.'
+      },
+      {
+        name: 'CHATGPT_STORED_PROMPT_VERSION',
+        label: 'Stored Prompt Version',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Version of the stored prompt (default: latest version).'
+      },
+      {
+        name: 'CHATGPT_STORED_PROMPT_VARIABLES',
+        label: 'Stored Prompt Variables',
+        type: 'json',
+        required: false,
+        advanced: true,
+        description: 'JSON object (or path to a JSON file) with the variables of the stored prompt.'
+      },
+      {
+        name: 'CHATGPT_REASONING_SUMMARY',
+        label: 'Reasoning Summary',
+        type: 'choice',
+        required: false,
+        advanced: true,
+        description: 'Requests reasoning summaries from reasoning models, added to the bot message with the reasoning token count.',
+        choices: [
+          { name: 'Auto', key: 'auto' },
+          { name: 'Concise', key: 'concise' },
+          { name: 'Detailed', key: 'detailed' }
+        ]
       },
       {
         name: 'CHATGPT_FILE_SEND_MODE',
@@ -45,10 +98,159 @@ module.exports = {
         advanced: true,
         description: 'How to send attachments to OpenAI.',
         choices: [
-          { name: 'Base64 (image only)', key: 'base64' },
-          { name: 'Upload (all file types)', key: 'upload' }
+          { name: 'Base64 (images and documents inline)', key: 'base64' },
+          { name: 'Upload (images and documents by file ID)', key: 'upload' }
+        ]
+      },
+      {
+        name: 'CHATGPT_FILE_LIFETIME',
+        label: 'Uploaded File Lifetime',
+        type: 'choice',
+        required: false,
+        advanced: true,
+        description: 'How long uploaded attachments are kept and reused (same content is uploaded only once): per message, per conversation, or per test run.',
+        choices: [
+          { name: 'Message', key: 'message' },
+          { name: 'Conversation', key: 'conversation' },
+          { name: 'Test run', key: 'run' }
+        ]
+      },
+      {
+        name: 'CHATGPT_FILE_PREFIX',
+        label: 'Uploaded File Name Prefix',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Prefix of the names of uploaded attachments (default: botium-).'
+      },
+      {
+        name: 'CHATGPT_FILE_CLEANUP_ORPHANS',
+        label: 'Delete Orphaned Files',
+        type: 'boolean',
+        required: false,
+        advanced: true,
+        description: 'Deletes uploaded files with the file name prefix left over by crashed test runs when the connector starts.'
+      },
+      {
+        name: 'CHATGPT_FILE_ORPHAN_MIN_AGE',
+        label: 'Orphaned File Minimum Age (s)',
+        type: 'int',
+        required: false,
+        advanced: true,
+        description: 'Only files older than this are deleted as orphaned, to keep files of running tests (default: 3600).'
+      },
+      {
+        name: 'CHATGPT_SPREADSHEET_FORMAT',
+        label: 'Spreadsheet Attachment Format',
+        type: 'choice',
+        required: false,
+        advanced: true,
+        description: 'Spreadsheet attachments (xlsx, xls, ods, csv) are sent as text, one table per sheet.',
+        choices: [
+          { name: 'Markdown tables', key: 'markdown' },
+          { name: 'CSV', key: 'csv' }
+        ]
+      },
+      {
+        name: 'CHATGPT_SPREADSHEET_MAX_ROWS',
+        label: 'Spreadsheet Attachment Max Rows',
+        type: 'int',
+        required: false,
+        advanced: true,
+        description: 'Maximum number of rows per sheet sent to the model (default: 500, 0 for no limit).'
+      },
+      {
+        name: 'CHATGPT_ATTACHMENT_MAX_CHARS',
+        label: 'Converted Attachment Max Characters',
+        type: 'int',
+        required: false,
+        advanced: true,
+        description: 'Maximum number of characters of a spreadsheet or office document converted to text (default: 100000, 0 for no limit).'
+      },
+      {
+        name: 'CHATGPT_OFFICE_TO_TEXT',
+        label: 'Office Documents as Text',
+        type: 'boolean',
+        required: false,
+        advanced: true,
+        description: 'Extracts the text of docx, pptx, odt and odp attachments instead of sending them as files.'
+      },
+      {
+        name: 'CHATGPT_AUDIO_INPUT_MODE',
+        label: 'Audio Attachments',
+        type: 'choice',
+        required: false,
+        advanced: true,
+        description: 'How audio attachments are sent: transcribed to text, or as audio input (wav and mp3, only in Chat Completions API mode with audio models).',
+        choices: [
+          { name: 'Transcribe', key: 'transcribe' },
+          { name: 'Audio input', key: 'input_audio' }
         ]
       },
+      {
+        name: 'CHATGPT_TRANSCRIPTION_MODEL',
+        label: 'Transcription Model',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Model for transcribing audio attachments (default: gpt-4o-mini-transcribe).'
+      },
+      {
+        name: 'CHATGPT_TRANSCRIPTION_LANGUAGE',
+        label: 'Transcription Language',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Language of audio attachments as ISO-639-1 code (e.g. en), improves transcription accuracy.'
+      },
+      {
+        name: 'CHATGPT_TTS',
+        label: 'Spoken Bot Replies',
+        type: 'boolean',
+        required: false,
+        advanced: true,
+        description: 'Converts the text of bot messages to speech and adds it as media to the bot message.'
+      },
+      {
+        name: 'CHATGPT_TTS_MODEL',
+        label: 'Text-to-Speech Model',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Model for spoken bot replies (default: gpt-4o-mini-tts).'
+      },
+      {
+        name: 'CHATGPT_TTS_VOICE',
+        label: 'Text-to-Speech Voice',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Voice of spoken bot replies, e.g. alloy, echo, nova, shimmer (default: alloy).'
+      },
+      {
+        name: 'CHATGPT_TTS_FORMAT',
+        label: 'Text-to-Speech Format',
+        type: 'choice',
+        required: false,
+        advanced: true,
+        description: 'Audio format of spoken bot replies.',
+        choices: [
+          { name: 'MP3', key: 'mp3' },
+          { name: 'Opus', key: 'opus' },
+          { name: 'AAC', key: 'aac' },
+          { name: 'FLAC', key: 'flac' },
+          { name: 'WAV', key: 'wav' },
+          { name: 'PCM', key: 'pcm' }
+        ]
+      },
+      {
+        name: 'CHATGPT_TTS_INSTRUCTIONS',
+        label: 'Text-to-Speech Instructions',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Instructions for the tone of spoken bot replies (not supported by tts-1 and tts-1-hd).'
+      },
       {
         name: 'CHATGPT_RESPOND_AS_BOTIUM_JSON',
         label: 'Respond as Botium JSON',
@@ -56,6 +258,343 @@ module.exports = {
         required: false,
         advanced: true,
         description: 'If enabled, requests a Botium-style JSON (messageText, buttons, media, cards, intent) using OpenAI JSON Schema. Mandatory for Excel file creation.'
+      },
+      {
+        name: 'CHATGPT_BUTTON_TEMPLATE',
+        label: 'Button Click Template',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Text sent to the model for a clicked button, with {{text}} and {{payload}} placeholders (default: User clicked the button "{{text}}" (payload: {{payload}})).'
+      },
+      {
+        name: 'CHATGPT_FORM_TEMPLATE',
+        label: 'Form Submission Template',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Text sent to the model for submitted form values, with {{values}} (one "name: value" line per field) and {{json}} placeholders.'
+      },
+      {
+        name: 'CHATGPT_CITATIONS_AS',
+        label: 'Render Citations As',
+        type: 'choice',
+        required: false,
+        advanced: true,
+        description: 'Adds the cited sources (web search, file search) to the bot message as cards or buttons.',
+        choices: [
+          { name: 'Cards', key: 'cards' },
+          { name: 'Buttons', key: 'buttons' }
+        ]
+      },
+      {
+        name: 'CHATGPT_STRIP_CITATION_MARKERS',
+        label: 'Strip Citation Markers',
+        type: 'boolean',
+        required: false,
+        advanced: true,
+        description: 'Removes inline citation markers from the message text.'
+      },
+      {
+        name: 'CHATGPT_FAIL_ON',
+        label: 'Fail On',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Comma-separated list of responses reported as test failures instead of bot messages: refusal, incomplete, empty (default: empty), or none.'
+      },
+      {
+        name: 'CHATGPT_MULTI_MESSAGE_MODE',
+        label: 'Multiple Bot Messages',
+        type: 'choice',
+        required: false,
+        advanced: true,
+        description: 'Split a response into multiple bot messages: per assistant message output item, per delimiter, or per element of a "messages" array in Botium JSON.',
+        choices: [
+          { name: 'Per output item', key: 'output_items' },
+          { name: 'Per delimiter', key: 'delimiter' },
+          { name: 'Botium JSON messages array', key: 'botium_json' }
+        ]
+      },
+      {
+        name: 'CHATGPT_MULTI_MESSAGE_DELIMITER',
+        label: 'Bot Message Delimiter',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Delimiter for splitting the response text into multiple bot messages (default: empty line).'
+      },
+      {
+        name: 'CHATGPT_OUTPUT_SCHEMA',
+        label: 'Structured Output Schema',
+        type: 'text',
+        required: false,
+        advanced: true,
+        description: 'Custom JSON schema for the model output (JSON or path to a JSON file). Responses not matching the schema fail the test.'
+      },
+      {
+        name: 'CHATGPT_OUTPUT_SCHEMA_STRICT',
+        label: 'Strict Structured Output',
+        type: 'boolean',
+        required: false,
+        advanced: true,
+        description: 'Strict schema adherence on OpenAI side (default: true). Requires all properties to be required and no additional properties.'
+      },
+      {
+        name: 'CHATGPT_OUTPUT_MAPPING',
+        label: 'Structured Output Mapping',
+        type: 'json',
+        required: false,
+        advanced: true,
+        description: 'Bot message fields (messageText, buttons, cards, nlp.intent, nlp.entities or custom fields) mapped to paths in the structured output (JSON or path to a JSON file).'
+      },
+      {
+        name: 'CHATGPT_API_MODE',
+        label: 'API Mode',
+        type: 'choice',
+        required: false,
+        advanced: true,
+        description: 'OpenAI API to use. Chat Completions is for OpenAI-compatible servers without Responses API (vLLM, Ollama, LM Studio).',
+        choices: [
+          { name: 'Responses API', key: 'responses' },
+          { name: 'Chat Completions API', key: 'chat_completions' }
+        ]
+      },
+      {
+        name: 'CHATGPT_TOOLS',
+        label: 'Hosted Tools',
+        type: 'text',
+        required: false,
+        advanced: true,
+        description: 'Comma-separated list of OpenAI hosted tool types (e.g., web_search), or a JSON array of full tool definitions (e.g., file_search with vector_store_ids, mcp with server_url).'
+      },
+      {
+        name: 'CHATGPT_TOOL_CHOICE',
+        label: 'Tool Choice',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'auto, none, required, or a JSON object (e.g., {"type": "file_search"}).'
+      },
+      {
+        name: 'CHATGPT_PARALLEL_TOOL_CALLS',
+        label: 'Parallel Tool Calls',
+        type: 'boolean',
+        required: false,
+        advanced: true,
+        description: 'Whether the model may call multiple tools in parallel.'
+      },
+      {
+        name: 'CHATGPT_VECTOR_STORE_FILES',
+        label: 'File Search: Document Files',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Local document folder or files (comma-separated). They are uploaded into a new vector store, which is attached to the file_search tool.'
+      },
+      {
+        name: 'CHATGPT_VECTOR_STORE_REUSE',
+        label: 'File Search: Reuse Vector Store',
+        type: 'boolean',
+        required: false,
+        advanced: true,
+        description: 'If enabled, an existing vector store with the same document content is reused and the vector store is not deleted after the test run.'
+      },
+      {
+        name: 'CHATGPT_FUNCTION_TOOLS',
+        label: 'Function Tools (Mocked)',
+        type: 'text',
+        required: false,
+        advanced: true,
+        description: 'JSON array (or path to a JSON file) of function tools with JSON schema and mocked outputs. Function calls are answered by the connector and recorded on the bot message.'
+      },
+      {
+        name: 'CHATGPT_MCP_SERVERS',
+        label: 'MCP Servers',
+        type: 'text',
+        required: false,
+        advanced: true,
+        description: 'JSON array (or path to a JSON file) of local MCP servers (stdio or HTTP). Their tools are offered to the model as function tools and executed by the connector.'
+      },
+      {
+        name: 'CHATGPT_STATELESS',
+        label: 'Stateless Conversation (No Storage)',
+        type: 'boolean',
+        required: false,
+        advanced: true,
+        description: 'If enabled, responses are not stored by OpenAI (store: false) and the conversation history is kept in the connector. Required for zero data retention.'
+      },
+      {
+        name: 'CHATGPT_HISTORY_MAX_TURNS',
+        label: 'History: Maximum Turns',
+        type: 'int',
+        required: false,
+        advanced: true,
+        description: 'Maximum number of conversation turns sent to the model (stateless mode and Chat Completions API mode only).'
+      },
+      {
+        name: 'CHATGPT_HISTORY_MAX_TOKENS',
+        label: 'History: Maximum Tokens',
+        type: 'int',
+        required: false,
+        advanced: true,
+        description: 'Maximum estimated tokens of the conversation history sent to the model (stateless mode and Chat Completions API mode only).'
+      },
+      {
+        name: 'CHATGPT_STREAM',
+        label: 'Streaming',
+        type: 'boolean',
+        required: false,
+        advanced: true,
+        description: 'If enabled, the response is streamed and latency metrics (time to first token, total latency, tokens per second) are added to the bot message.'
+      },
+      {
+        name: 'CHATGPT_STREAM_PARTIAL_MESSAGES',
+        label: 'Emit Partial Messages',
+        type: 'boolean',
+        required: false,
+        advanced: true,
+        description: 'If enabled (and streaming is enabled), partial bot messages are emitted while the response is streamed.'
+      },
+      {
+        name: 'CHATGPT_MAX_RETRIES',
+        label: 'Maximum Retries',
+        type: 'int',
+        required: false,
+        advanced: true,
+        description: 'Maximum number of retries on rate limits, server errors, network errors and timeouts (default: 2).'
+      },
+      {
+        name: 'CHATGPT_REQUEST_TIMEOUT',
+        label: 'Request Timeout (ms)',
+        type: 'int',
+        required: false,
+        advanced: true,
+        description: 'Timeout for a single OpenAI request in milliseconds (default: 10 minutes).'
+      },
+      {
+        name: 'CHATGPT_RATE_LIMIT_RPM',
+        label: 'Rate Limit: Requests per Minute',
+        type: 'int',
+        required: false,
+        advanced: true,
+        description: 'Maximum requests per minute, shared by all conversations running in parallel.'
+      },
+      {
+        name: 'CHATGPT_RATE_LIMIT_TPM',
+        label: 'Rate Limit: Tokens per Minute',
+        type: 'int',
+        required: false,
+        advanced: true,
+        description: 'Maximum tokens per minute, shared by all conversations running in parallel.'
+      },
+      {
+        name: 'CHATGPT_RATE_LIMIT_CONCURRENCY',
+        label: 'Rate Limit: Concurrent Requests',
+        type: 'int',
+        required: false,
+        advanced: true,
+        description: 'Maximum concurrent requests, shared by all conversations running in parallel.'
+      },
+      {
+        name: 'CHATGPT_PRICES',
+        label: 'Prices per Model',
+        type: 'json',
+        required: false,
+        advanced: true,
+        description: 'JSON object of model names to prices in USD per 1M tokens, e.g. {"gpt-4o": {"input": 2.5, "cachedInput": 1.25, "output": 10}}. Used for cost estimation.'
+      },
+      {
+        name: 'CHATGPT_BUDGET_MAX_TOKENS',
+        label: 'Budget: Maximum Tokens per Conversation',
+        type: 'int',
+        required: false,
+        advanced: true,
+        description: 'The test fails if a conversation uses more tokens.'
+      },
+      {
+        name: 'CHATGPT_BUDGET_MAX_COST',
+        label: 'Budget: Maximum Cost per Conversation (USD)',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'The test fails if a conversation costs more (requires prices per model).'
+      },
+      {
+        name: 'CHATGPT_CASSETTE_MODE',
+        label: 'Record/Replay Mode',
+        type: 'choice',
+        required: false,
+        advanced: true,
+        description: 'Record OpenAI requests and responses to a cassette file, or replay them without network access.',
+        choices: [
+          { name: 'Record', key: 'record' },
+          { name: 'Replay', key: 'replay' }
+        ]
+      },
+      {
+        name: 'CHATGPT_CASSETTE_FILE',
+        label: 'Cassette File',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Path of the cassette file for record and replay mode (default: cassettes/chatgpt.json).'
+      },
+      {
+        name: 'CHATGPT_BASE_URL',
+        label: 'Base URL',
+        type: 'url',
+        required: false,
+        advanced: true,
+        description: 'Base URL of an OpenAI-compatible API (e.g., corporate gateway or local server). Defaults to https://api.openai.com/v1.'
+      },
+      {
+        name: 'CHATGPT_ORGANIZATION',
+        label: 'Organization ID',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'OpenAI organization ID, sent as OpenAI-Organization header.'
+      },
+      {
+        name: 'CHATGPT_PROJECT',
+        label: 'Project ID',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'OpenAI project ID, sent as OpenAI-Project header.'
+      },
+      {
+        name: 'CHATGPT_DEFAULT_HEADERS',
+        label: 'Additional HTTP Headers',
+        type: 'json',
+        required: false,
+        advanced: true,
+        description: 'JSON object with additional HTTP headers sent with every request.'
+      },
+      {
+        name: 'CHATGPT_AZURE_ENDPOINT',
+        label: 'Azure OpenAI Endpoint',
+        type: 'url',
+        required: false,
+        advanced: true,
+        description: 'Azure OpenAI resource endpoint (e.g., https://my-resource.openai.azure.com/). If set, the connector uses Azure OpenAI.'
+      },
+      {
+        name: 'CHATGPT_AZURE_DEPLOYMENT',
+        label: 'Azure OpenAI Deployment',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Azure OpenAI deployment name.'
+      },
+      {
+        name: 'CHATGPT_AZURE_API_VERSION',
+        label: 'Azure OpenAI API Version',
+        type: 'string',
+        required: false,
+        advanced: true,
+        description: 'Azure OpenAI API version (e.g., 2025-03-01-preview). Required if Azure OpenAI endpoint is set.'
       }
     ]
   }
@@ -5,8 +5,75 @@ module.exports = {
   CHATGPT_TEMPERATURE: 'CHATGPT_TEMPERATURE',
   CHATGPT_MAX_TOKENS: 'CHATGPT_MAX_TOKENS',
   CHATGPT_REASONING_EFFORT: 'CHATGPT_REASONING_EFFORT',
+  CHATGPT_REASONING_SUMMARY: 'CHATGPT_REASONING_SUMMARY',
   CHATGPT_FILE_SEND_MODE: 'CHATGPT_FILE_SEND_MODE',
   CHATGPT_TOOLS: 'CHATGPT_TOOLS',
+  CHATGPT_TOOL_CHOICE: 'CHATGPT_TOOL_CHOICE',
+  CHATGPT_PARALLEL_TOOL_CALLS: 'CHATGPT_PARALLEL_TOOL_CALLS',
   CHATGPT_INCLUDE: 'CHATGPT_INCLUDE',
-  CHATGPT_RESPOND_AS_BOTIUM_JSON: 'CHATGPT_RESPOND_AS_BOTIUM_JSON'
+  CHATGPT_RESPOND_AS_BOTIUM_JSON: 'CHATGPT_RESPOND_AS_BOTIUM_JSON',
+  CHATGPT_BASE_URL: 'CHATGPT_BASE_URL',
+  CHATGPT_ORGANIZATION: 'CHATGPT_ORGANIZATION',
+  CHATGPT_PROJECT: 'CHATGPT_PROJECT',
+  CHATGPT_DEFAULT_HEADERS: 'CHATGPT_DEFAULT_HEADERS',
+  CHATGPT_AZURE_ENDPOINT: 'CHATGPT_AZURE_ENDPOINT',
+  CHATGPT_AZURE_DEPLOYMENT: 'CHATGPT_AZURE_DEPLOYMENT',
+  CHATGPT_AZURE_API_VERSION: 'CHATGPT_AZURE_API_VERSION',
+  CHATGPT_API_MODE: 'CHATGPT_API_MODE',
+  CHATGPT_STREAM: 'CHATGPT_STREAM',
+  CHATGPT_STREAM_PARTIAL_MESSAGES: 'CHATGPT_STREAM_PARTIAL_MESSAGES',
+  CHATGPT_STREAM_PARTIAL_INTERVAL: 'CHATGPT_STREAM_PARTIAL_INTERVAL',
+  CHATGPT_MAX_RETRIES: 'CHATGPT_MAX_RETRIES',
+  CHATGPT_RETRY_INITIAL_DELAY: 'CHATGPT_RETRY_INITIAL_DELAY',
+  CHATGPT_RETRY_MAX_DELAY: 'CHATGPT_RETRY_MAX_DELAY',
+  CHATGPT_REQUEST_TIMEOUT: 'CHATGPT_REQUEST_TIMEOUT',
+  CHATGPT_RATE_LIMIT_RPM: 'CHATGPT_RATE_LIMIT_RPM',
+  CHATGPT_RATE_LIMIT_TPM: 'CHATGPT_RATE_LIMIT_TPM',
+  CHATGPT_RATE_LIMIT_CONCURRENCY: 'CHATGPT_RATE_LIMIT_CONCURRENCY',
+  CHATGPT_STATELESS: 'CHATGPT_STATELESS',
+  CHATGPT_HISTORY_MAX_TURNS: 'CHATGPT_HISTORY_MAX_TURNS',
+  CHATGPT_HISTORY_MAX_TOKENS: 'CHATGPT_HISTORY_MAX_TOKENS',
+  CHATGPT_FUNCTION_TOOLS: 'CHATGPT_FUNCTION_TOOLS',
+  CHATGPT_FUNCTION_MAX_ROUNDS: 'CHATGPT_FUNCTION_MAX_ROUNDS',
+  CHATGPT_MCP_SERVERS: 'CHATGPT_MCP_SERVERS',
+  CHATGPT_VECTOR_STORE_FILES: 'CHATGPT_VECTOR_STORE_FILES',
+  CHATGPT_VECTOR_STORE_NAME: 'CHATGPT_VECTOR_STORE_NAME',
+  CHATGPT_VECTOR_STORE_REUSE: 'CHATGPT_VECTOR_STORE_REUSE',
+  CHATGPT_VECTOR_STORE_TIMEOUT: 'CHATGPT_VECTOR_STORE_TIMEOUT',
+  CHATGPT_PRICES: 'CHATGPT_PRICES',
+  CHATGPT_BUDGET_MAX_TOKENS: 'CHATGPT_BUDGET_MAX_TOKENS',
+  CHATGPT_BUDGET_MAX_COST: 'CHATGPT_BUDGET_MAX_COST',
+  CHATGPT_CASSETTE_MODE: 'CHATGPT_CASSETTE_MODE',
+  CHATGPT_CASSETTE_FILE: 'CHATGPT_CASSETTE_FILE',
+  CHATGPT_OUTPUT_SCHEMA: 'CHATGPT_OUTPUT_SCHEMA',
+  CHATGPT_OUTPUT_SCHEMA_STRICT: 'CHATGPT_OUTPUT_SCHEMA_STRICT',
+  CHATGPT_OUTPUT_MAPPING: 'CHATGPT_OUTPUT_MAPPING',
+  CHATGPT_MULTI_MESSAGE_MODE: 'CHATGPT_MULTI_MESSAGE_MODE',
+  CHATGPT_MULTI_MESSAGE_DELIMITER: 'CHATGPT_MULTI_MESSAGE_DELIMITER',
+  CHATGPT_FAIL_ON: 'CHATGPT_FAIL_ON',
+  CHATGPT_CITATIONS_AS: 'CHATGPT_CITATIONS_AS',
+  CHATGPT_STRIP_CITATION_MARKERS: 'CHATGPT_STRIP_CITATION_MARKERS',
+  CHATGPT_SPREADSHEET_FORMAT: 'CHATGPT_SPREADSHEET_FORMAT',
+  CHATGPT_SPREADSHEET_MAX_ROWS: 'CHATGPT_SPREADSHEET_MAX_ROWS',
+  CHATGPT_ATTACHMENT_MAX_CHARS: 'CHATGPT_ATTACHMENT_MAX_CHARS',
+  CHATGPT_OFFICE_TO_TEXT: 'CHATGPT_OFFICE_TO_TEXT',
+  CHATGPT_FILE_LIFETIME: 'CHATGPT_FILE_LIFETIME',
+  CHATGPT_FILE_PREFIX: 'CHATGPT_FILE_PREFIX',
+  CHATGPT_FILE_CLEANUP_ORPHANS: 'CHATGPT_FILE_CLEANUP_ORPHANS',
+  CHATGPT_FILE_ORPHAN_MIN_AGE: 'CHATGPT_FILE_ORPHAN_MIN_AGE',
+  CHATGPT_AUDIO_INPUT_MODE: 'CHATGPT_AUDIO_INPUT_MODE',
+  CHATGPT_TRANSCRIPTION_MODEL: 'CHATGPT_TRANSCRIPTION_MODEL',
+  CHATGPT_TRANSCRIPTION_LANGUAGE: 'CHATGPT_TRANSCRIPTION_LANGUAGE',
+  CHATGPT_TTS: 'CHATGPT_TTS',
+  CHATGPT_TTS_MODEL: 'CHATGPT_TTS_MODEL',
+  CHATGPT_TTS_VOICE: 'CHATGPT_TTS_VOICE',
+  CHATGPT_TTS_FORMAT: 'CHATGPT_TTS_FORMAT',
+  CHATGPT_TTS_INSTRUCTIONS: 'CHATGPT_TTS_INSTRUCTIONS',
+  CHATGPT_BUTTON_TEMPLATE: 'CHATGPT_BUTTON_TEMPLATE',
+  CHATGPT_FORM_TEMPLATE: 'CHATGPT_FORM_TEMPLATE',
+  CHATGPT_PROMPT_FILE: 'CHATGPT_PROMPT_FILE',
+  CHATGPT_PROMPT_VARIABLES: 'CHATGPT_PROMPT_VARIABLES',
+  CHATGPT_STORED_PROMPT_ID: 'CHATGPT_STORED_PROMPT_ID',
+  CHATGPT_STORED_PROMPT_VERSION: 'CHATGPT_STORED_PROMPT_VERSION',
+  CHATGPT_STORED_PROMPT_VARIABLES: 'CHATGPT_STORED_PROMPT_VARIABLES'
 }
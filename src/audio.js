@@ -0,0 +1,91 @@
+const path = require('path')
+const { toFile } = require('openai/uploads')
+const debug = require('debug')('botium-connector-chatgpt-audio')
+
+const AUDIO_INPUT_MODES = ['transcribe', 'input_audio']
+const SPEECH_FORMATS = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  pcm: 'audio/pcm'
+}
+// Audio formats accepted as input_audio content
+const INPUT_AUDIO_FORMATS = {
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3'
+}
+
+/**
+ * @param {string} mimeType - MIME type
+ * @param {string} name - File name
+ * @returns {boolean} Whether the attachment is an audio file
+ */
+function isAudio (mimeType, name) {
+  return !!mimeType?.startsWith('audio/') || /\.(wav|mp3|mpga|m4a|ogg|oga|webm|flac)$/i.test(name || '')
+}
+
+/**
+ * Transcribes an audio attachment
+ * @param {OpenAI} openai - OpenAI client
+ * @param {Object} options - buffer, name, mimeType, model, language (optional), request (function for retrying requests)
+ * @returns {Promise<string>} Transcript
+ */
+async function transcribeAudio (openai, { buffer, name, mimeType, model, language, request }) {
+  const params = {
+    file: await toFile(buffer, path.basename(name || 'audio.wav'), { type: mimeType || 'application/octet-stream' }),
+    model
+  }
+  if (language) params.language = language
+  const transcription = await request('audio.transcriptions.create', () => openai.audio.transcriptions.create(params))
+  debug(`Transcribed ${name}: ${transcription.text}`)
+  return transcription.text
+}
+
+/**
+ * Converts an audio attachment to input_audio content
+ * @param {Buffer} buffer - Audio data
+ * @param {string} name - File name
+ * @param {string} mimeType - MIME type
+ * @returns {Object} input_audio content part
+ */
+function toInputAudio (buffer, name, mimeType) {
+  const format = INPUT_AUDIO_FORMATS[mimeType]
+  if (!format) {
+    throw new Error(`Audio attachment "${name}" has type ${mimeType || '(unknown)'}, only wav and mp3 are supported as audio input`)
+  }
+  return { type: 'input_audio', input_audio: { data: buffer.toString('base64'), format } }
+}
+
+/**
+ * Converts text to speech
+ * @param {OpenAI} openai - OpenAI client
+ * @param {Object} options - text, model, voice, format, instructions (optional), request (function for retrying requests)
+ * @returns {Promise<Object>} Bot message media (mediaUri, mimeType, buffer, altText)
+ */
+async function synthesizeSpeech (openai, { text, model, voice, format, instructions, request }) {
+  const params = { model, voice, input: text, response_format: format }
+  if (instructions) params.instructions = instructions
+  const response = await request('audio.speech.create', () => openai.audio.speech.create(params))
+  const buffer = Buffer.from(await response.arrayBuffer())
+  debug(`Synthesized speech for "${text}", ${buffer.length} bytes`)
+  return {
+    mediaUri: `speech.${format}`,
+    mimeType: SPEECH_FORMATS[format],
+    buffer,
+    altText: text
+  }
+}
+
+module.exports = {
+  AUDIO_INPUT_MODES,
+  SPEECH_FORMATS,
+  isAudio,
+  transcribeAudio,
+  toInputAudio,
+  synthesizeSpeech
+}
@@ -0,0 +1,251 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const debug = require('debug')('botium-connector-chatgpt-cassette')
+
+const RECORDED_RESPONSE_HEADERS = ['content-type', 'retry-after', 'retry-after-ms', 'x-request-id']
+const TEXT_CONTENT_TYPES = ['application/json', 'text/']
+// Fields with credentials, e.g. in the headers of hosted MCP tools
+const SECRET_FIELD_REGEX = /^(authorization|api[-_]?key|x-api-key|access[-_]?token|token|secret|client[-_]?secret|password)$/i
+const MAX_BASE64_LENGTH = 1024
+const MAX_BINARY_BODY_SIZE = 100 * 1024
+
+/**
+ * Replaces API keys and the given secrets in strings
+ * @param {string} text - Text
+ * @param {Array<string>} secrets - Secret values (API keys, header values)
+ * @returns {string} Text with secrets redacted
+ */
+function redactSecrets (text, secrets = []) {
+  let redacted = text.replace(/sk-[A-Za-z0-9_-]{10,}/g, 'sk-[redacted]')
+  for (const secret of secrets) redacted = redacted.split(secret).join('[redacted]')
+  return redacted
+}
+
+/**
+ * Redacts credential fields and all header values, and replaces large base64 payloads (images, files) by placeholders
+ * @param {any} value - Parsed JSON
+ * @param {string} key - Field name of the value
+ * @returns {any} Redacted value
+ */
+function redactObject (value, key = null) {
+  if (typeof value === 'string') {
+    if (key && SECRET_FIELD_REGEX.test(key)) return '[redacted]'
+    if (value.length > MAX_BASE64_LENGTH && /^(data:[^;,]+;base64,)?[A-Za-z0-9+/=\s]+$/.test(value)) return `[base64_data_masked:${value.length}_chars]`
+    return value
+  }
+  if (Array.isArray(value)) return value.map(item => redactObject(item))
+  if (value && typeof value === 'object') {
+    const redacted = {}
+    for (const [k, v] of Object.entries(value)) {
+      redacted[k] = k.toLowerCase() === 'headers' && v && typeof v === 'object' && !Array.isArray(v)
+        ? Object.fromEntries(Object.keys(v).map(name => [name, '[redacted]']))
+        : redactObject(v, k)
+    }
+    return redacted
+  }
+  return value
+}
+
+/**
+ * Redacts a recorded response body: JSON bodies and the JSON events of streamed responses
+ * @param {string} text - Response body
+ * @param {Array<string>} secrets - Secret values
+ * @returns {string} Redacted response body
+ */
+function redactResponseBody (text, secrets) {
+  const redactJson = json => {
+    try {
+      return JSON.stringify(redactObject(JSON.parse(json)))
+    } catch (err) {
+      return json
+    }
+  }
+  const redacted = /^\s*[{[]/.test(text)
+    ? redactJson(text)
+    : text.split('\n').map(line => line.startsWith('data: ') ? `data: ${redactJson(line.substring(6))}` : line).join('\n')
+  return redactSecrets(redacted, secrets)
+}
+
+/**
+ * Recorded request/response pairs of the OpenAI API, stored in a JSON file
+ */
+class Cassette {
+  constructor (filePath, mode, maskRequestBody) {
+    this.filePath = filePath
+    this.mode = mode
+    this.maskRequestBody = maskRequestBody
+    this.secrets = []
+    this.interactions = []
+    if (mode === 'replay') {
+      let content
+      try {
+        content = fs.readFileSync(filePath, 'utf8')
+      } catch (err) {
+        throw new Error(`Cassette file "${filePath}" cannot be read (record it first with CHATGPT_CASSETTE_MODE=record): ${err.message}`)
+      }
+      this.interactions = JSON.parse(content).interactions || []
+      debug(`Loaded ${this.interactions.length} interactions from ${filePath}`)
+    } else {
+      this._save()
+    }
+  }
+
+  /**
+   * Calculates the key for matching a request: method, path and a hash of the (masked) request body
+   * @param {string} url - Request URL
+   * @param {Object} init - Fetch options
+   * @returns {Promise<Object>} Request description (method, path, bodyHash, body)
+   */
+  async describeRequest (url, init) {
+    const method = (init?.method || 'GET').toUpperCase()
+    const parsedUrl = new URL(url)
+    let body = null
+    if (typeof init?.body === 'string') {
+      try {
+        body = this.maskRequestBody(JSON.parse(init.body))
+      } catch (err) {
+        body = init.body
+      }
+    } else if (init?.body && typeof init.body.entries === 'function') {
+      // multipart/form-data (file uploads): files are represented by name, size and content hash
+      body = {}
+      for (const [key, value] of init.body.entries()) {
+        if (value && typeof value.arrayBuffer === 'function') {
+          const buffer = Buffer.from(await value.arrayBuffer())
+          body[key] = { name: value.name, size: buffer.length, sha256: crypto.createHash('sha256').update(buffer).digest('hex') }
+        } else {
+          body[key] = value
+        }
+      }
+    }
+    if (body && typeof body === 'object') body = redactObject(body)
+    const serializedBody = redactSecrets(body === null ? '' : (typeof body === 'string' ? body : JSON.stringify(body)), this.secrets)
+    return {
+      method,
+      path: redactSecrets(`${parsedUrl.pathname}${parsedUrl.search}`, this.secrets),
+      bodyHash: crypto.createHash('sha256').update(serializedBody).digest('hex'),
+      body: body === null ? null : (typeof body === 'string' ? serializedBody : JSON.parse(serializedBody))
+    }
+  }
+
+  /**
+   * Records a request/response pair
+   * @param {Object} request - Request description
+   * @param {Response} response - Fetch response (a clone, the body is consumed)
+   */
+  async record (request, response) {
+    const headers = {}
+    response.headers.forEach((value, name) => {
+      if (RECORDED_RESPONSE_HEADERS.includes(name) || name.startsWith('x-ratelimit-')) headers[name] = value
+    })
+    const contentType = response.headers.get('content-type') || ''
+    const interaction = {
+      request,
+      response: { status: response.status, headers }
+    }
+    if (TEXT_CONTENT_TYPES.some(t => contentType.startsWith(t))) {
+      interaction.response.body = redactResponseBody(await response.text(), this.secrets)
+    } else {
+      const buffer = Buffer.from(await response.arrayBuffer())
+      if (buffer.length > MAX_BINARY_BODY_SIZE) {
+        // Large files (e.g. container files) are replayed empty
+        interaction.response.bodyOmitted = { size: buffer.length, sha256: crypto.createHash('sha256').update(buffer).digest('hex') }
+      } else {
+        interaction.response.bodyBase64 = buffer.toString('base64')
+      }
+    }
+    this.interactions.push(interaction)
+    this._save()
+    debug(`Recorded ${request.method} ${request.path} (${response.status})`)
+  }
+
+  /**
+   * Finds the first unused recorded response for a request
+   * @param {Object} request - Request description
+   * @returns {Object} Recorded interaction, or null if there is none
+   */
+  take (request) {
+    const interaction = this.interactions.find(i => !i.used &&
+      i.request.method === request.method &&
+      i.request.path === request.path &&
+      i.request.bodyHash === request.bodyHash)
+    if (interaction) interaction.used = true
+    return interaction || null
+  }
+
+  /**
+   * Adds secrets to redact in recorded requests and responses
+   * @param {Array<string>} secrets - Secret values (API keys, header values)
+   */
+  addSecrets (secrets) {
+    // Short values would redact unrelated text
+    this.secrets = [...new Set([...this.secrets, ...secrets.filter(s => typeof s === 'string' && s.length >= 8)])]
+  }
+
+  _save () {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    fs.writeFileSync(this.filePath, JSON.stringify({ interactions: this.interactions }, null, 2))
+  }
+}
+
+const cassettes = new Map()
+
+/**
+ * Returns the process-wide cassette for a file, shared by all connector instances. In record mode, the file is
+ * started from scratch by the first connector instance, and the following ones add to it.
+ * @param {string} filePath - Cassette file
+ * @param {string} mode - record or replay
+ * @param {Function} maskRequestBody - Redaction of request bodies
+ * @returns {Cassette} Cassette
+ */
+function getCassette (filePath, mode, maskRequestBody) {
+  const key = `${mode}:${path.resolve(filePath)}`
+  if (!cassettes.has(key)) {
+    cassettes.set(key, new Cassette(path.resolve(filePath), mode, maskRequestBody))
+  }
+  return cassettes.get(key)
+}
+
+/**
+ * Creates a fetch function for the OpenAI client, which records to or replays from a cassette
+ * @param {Cassette} cassette - Cassette
+ * @returns {Function} Fetch function
+ */
+function createCassetteFetch (cassette) {
+  return async (url, init) => {
+    // The OpenAI client probes FormData support with a data: URL
+    if (!/^https?:/i.test(String(url))) return fetch(url, init)
+
+    const request = await cassette.describeRequest(String(url), init)
+    if (cassette.mode === 'record') {
+      const response = await fetch(url, init)
+      // Recording must not delay streamed responses
+      cassette.record(request, response.clone()).catch(err => debug(`Recording ${request.method} ${request.path} failed: ${err.message}`))
+      return response
+    }
+
+    const interaction = cassette.take(request)
+    if (!interaction) {
+      const message = `Cassette "${cassette.filePath}" has no (unused) recorded interaction for ${request.method} ${request.path} with request body ${JSON.stringify(request.body)}`
+      debug(message)
+      return new Response(JSON.stringify({ error: { message, type: 'invalid_request_error', code: 'cassette_mismatch' } }), {
+        status: 400,
+        headers: { 'content-type': 'application/json' }
+      })
+    }
+    debug(`Replaying ${request.method} ${request.path} (${interaction.response.status})`)
+    const body = interaction.response.bodyBase64 ? Buffer.from(interaction.response.bodyBase64, 'base64') : (interaction.response.body ?? null)
+    return new Response(body, {
+      status: interaction.response.status,
+      headers: interaction.response.headers
+    })
+  }
+}
+
+module.exports = {
+  redactObject,
+  redactResponseBody,
+  getCassette,
+  createCassetteFetch
+}
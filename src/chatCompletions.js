@@ -0,0 +1,236 @@
+/**
+ * Translation between Responses API and Chat Completions API formats, used for
+ * OpenAI-compatible servers which are not implementing the Responses API (vLLM, Ollama, LM Studio, ...)
+ */
+
+/**
+ * Converts Responses API input content parts to Chat Completions message content
+ * @param {Array|string} content - Responses API content
+ * @returns {Array|string} Chat Completions content (plain string if there are only text parts)
+ */
+function toChatContent (content) {
+  if (!Array.isArray(content)) return content
+  const parts = content.map(part => {
+    if (part.type === 'input_text' || part.type === 'output_text') {
+      return { type: 'text', text: part.text }
+    }
+    if (part.type === 'input_image') {
+      if (!part.image_url) {
+        throw new Error('Chat Completions API supports images only as base64 data URLs')
+      }
+      return { type: 'image_url', image_url: { url: part.image_url } }
+    }
+    if (part.type === 'input_file') {
+      if (!part.file_data) {
+        throw new Error('Chat Completions API supports documents only as base64 data')
+      }
+      return { type: 'file', file: { filename: part.filename, file_data: part.file_data } }
+    }
+    if (part.type === 'input_audio') {
+      return { type: 'input_audio', input_audio: part.input_audio }
+    }
+    throw new Error(`Content type "${part.type}" is not supported by the Chat Completions API`)
+  })
+  // Plain string content is understood by every OpenAI-compatible server
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('\n')
+  }
+  return parts
+}
+
+/**
+ * Converts Responses API input items to Chat Completions messages
+ * @param {Array} input - Responses API input items
+ * @returns {Array} Chat Completions messages
+ */
+function toChatMessages (input) {
+  const messages = []
+  for (const item of (input || [])) {
+    if (item.type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: item.output
+      })
+    } else if (item.type === 'function_call') {
+      messages.push({
+        role: 'assistant',
+        content: null,
+        tool_calls: [{
+          id: item.call_id,
+          type: 'function',
+          function: { name: item.name, arguments: item.arguments }
+        }]
+      })
+    } else if (!item.type || item.type === 'message') {
+      messages.push({
+        role: item.role,
+        content: toChatContent(item.content)
+      })
+    } else {
+      throw new Error(`Input item type "${item.type}" is not supported by the Chat Completions API`)
+    }
+  }
+  return messages
+}
+
+/**
+ * Converts Responses API function tools to Chat Completions tools
+ * @param {Array} tools - Responses API tools
+ * @returns {Array} Chat Completions tools
+ */
+function toChatTools (tools) {
+  return (tools || []).map(tool => {
+    if (tool.type !== 'function') {
+      throw new Error(`Tool type "${tool.type}" is not supported by the Chat Completions API, only function tools are`)
+    }
+    const fn = { name: tool.name }
+    if (tool.description) fn.description = tool.description
+    if (tool.parameters) fn.parameters = tool.parameters
+    if (tool.strict) fn.strict = tool.strict
+    return { type: 'function', function: fn }
+  })
+}
+
+/**
+ * Converts Responses API tool choice to Chat Completions tool choice
+ * @param {string|Object} toolChoice - Responses API tool_choice
+ * @returns {string|Object} Chat Completions tool_choice
+ */
+function toChatToolChoice (toolChoice) {
+  if (typeof toolChoice === 'string') return toolChoice
+  if (toolChoice.type === 'function') {
+    return { type: 'function', function: { name: toolChoice.name } }
+  }
+  throw new Error(`Tool choice type "${toolChoice.type}" is not supported by the Chat Completions API`)
+}
+
+/**
+ * Converts Responses API text format to Chat Completions response format
+ * @param {Object} format - Responses API text.format
+ * @returns {Object} Chat Completions response_format
+ */
+function toChatResponseFormat (format) {
+  if (format.type === 'json_schema') {
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: format.name,
+        schema: format.schema,
+        strict: format.strict
+      }
+    }
+  }
+  return { type: format.type }
+}
+
+/**
+ * Builds Chat Completions API parameters from Responses API parameters
+ * @param {Object} params - Responses API parameters
+ * @param {Array} history - Previous Chat Completions messages of the conversation
+ * @returns {Object} Object containing the Chat Completions parameters and the new messages of this turn
+ */
+function toChatCompletionParams (params, history) {
+  const newMessages = toChatMessages(params.input)
+  const messages = []
+  if (params.instructions) {
+    messages.push({ role: 'system', content: params.instructions })
+  }
+  messages.push(...history, ...newMessages)
+
+  const chatParams = {
+    model: params.model,
+    messages
+  }
+  if (params.tools && params.tools.length > 0) chatParams.tools = toChatTools(params.tools)
+  if (params.tool_choice) chatParams.tool_choice = toChatToolChoice(params.tool_choice)
+  if (params.parallel_tool_calls !== undefined) chatParams.parallel_tool_calls = params.parallel_tool_calls
+  if (params.text?.format) chatParams.response_format = toChatResponseFormat(params.text.format)
+  if (params.temperature !== undefined) chatParams.temperature = params.temperature
+  if (params.max_output_tokens !== undefined) chatParams.max_tokens = params.max_output_tokens
+  if (params.reasoning?.effort) chatParams.reasoning_effort = params.reasoning.effort
+
+  return { chatParams, newMessages }
+}
+
+/**
+ * Maps a Chat Completions API result to the shape of a Responses API result
+ * @param {Object} completion - Chat Completions API result
+ * @returns {Object} Response object with id, status, output, output_text and usage
+ */
+function fromChatCompletion (completion) {
+  const choice = (completion.choices && completion.choices[0]) || {}
+  const message = choice.message || {}
+  const output = []
+
+  if (message.content || message.refusal) {
+    const content = []
+    if (message.content) content.push({ type: 'output_text', text: message.content, annotations: [] })
+    if (message.refusal) content.push({ type: 'refusal', refusal: message.refusal })
+    output.push({
+      type: 'message',
+      role: 'assistant',
+      status: 'completed',
+      content
+    })
+  }
+  for (const toolCall of (message.tool_calls || [])) {
+    output.push({
+      type: 'function_call',
+      call_id: toolCall.id,
+      name: toolCall.function?.name,
+      arguments: toolCall.function?.arguments
+    })
+  }
+
+  const response = {
+    id: completion.id,
+    object: 'response',
+    model: completion.model,
+    status: 'completed',
+    output,
+    output_text: message.content || ''
+  }
+  if (choice.finish_reason === 'length') {
+    response.status = 'incomplete'
+    response.incomplete_details = { reason: 'max_output_tokens' }
+  } else if (choice.finish_reason === 'content_filter') {
+    response.status = 'incomplete'
+    response.incomplete_details = { reason: 'content_filter' }
+  }
+  if (completion.usage) {
+    response.usage = {
+      input_tokens: completion.usage.prompt_tokens,
+      input_tokens_details: { cached_tokens: completion.usage.prompt_tokens_details?.cached_tokens || 0 },
+      output_tokens: completion.usage.completion_tokens,
+      output_tokens_details: { reasoning_tokens: completion.usage.completion_tokens_details?.reasoning_tokens || 0 },
+      total_tokens: completion.usage.total_tokens
+    }
+  }
+  return response
+}
+
+/**
+ * Converts the assistant message of a Chat Completions API result to a history message
+ * @param {Object} completion - Chat Completions API result
+ * @returns {Object} Assistant message to append to the conversation history
+ */
+function toAssistantHistoryMessage (completion) {
+  const message = (completion.choices && completion.choices[0] && completion.choices[0].message) || {}
+  const historyMessage = {
+    role: 'assistant',
+    content: message.content || null
+  }
+  if (message.tool_calls && message.tool_calls.length > 0) historyMessage.tool_calls = message.tool_calls
+  return historyMessage
+}
+
+module.exports = {
+  toChatMessages,
+  toChatTools,
+  toChatToolChoice,
+  toChatResponseFormat,
+  toChatCompletionParams,
+  fromChatCompletion,
+  toAssistantHistoryMessage
+}
@@ -0,0 +1,87 @@
+const _ = require('lodash')
+
+const CITATION_TYPES = ['url_citation', 'file_citation', 'container_file_citation', 'file_path']
+
+/**
+ * Collects the citations of the output_text content parts of all assistant messages
+ * @param {Object} response - Responses API result
+ * @returns {Array} Citations (type, url, title, fileId, filename, containerId, text, startIndex, endIndex, index)
+ */
+function extractCitations (response) {
+  const citations = []
+  for (const item of (response?.output || [])) {
+    if (item.type !== 'message') continue
+    for (const content of (item.content || [])) {
+      if (content.type !== 'output_text') continue
+      for (const annotation of (content.annotations || [])) {
+        if (!CITATION_TYPES.includes(annotation.type)) continue
+        const citation = { type: annotation.type }
+        if (annotation.url) citation.url = annotation.url
+        if (annotation.title) citation.title = annotation.title
+        if (annotation.file_id) citation.fileId = annotation.file_id
+        if (annotation.filename) citation.filename = annotation.filename
+        if (annotation.container_id) citation.containerId = annotation.container_id
+        if (_.isNumber(annotation.start_index) && _.isNumber(annotation.end_index)) {
+          // The quoted span of the message text
+          citation.text = (content.text || '').substring(annotation.start_index, annotation.end_index)
+          citation.startIndex = annotation.start_index
+          citation.endIndex = annotation.end_index
+        } else if (_.isNumber(annotation.index)) {
+          citation.index = annotation.index
+        }
+        citations.push(citation)
+      }
+    }
+  }
+  return citations
+}
+
+/**
+ * Removes inline citation markers from a text: the spans of web search citations (e.g. "([example.com](https://example.com))")
+ * and file search markers (e.g. "【4:0†source】")
+ * @param {string} text - Message text
+ * @param {Array} citations - Citations of the response
+ * @returns {string} Text without citation markers
+ */
+function stripCitationMarkers (text, citations) {
+  let stripped = text
+  const markers = _.uniq(citations.filter(c => c.type === 'url_citation' && c.text).map(c => c.text))
+  // Longest first, a marker might contain a shorter one
+  for (const marker of _.sortBy(markers, m => -m.length)) {
+    stripped = stripped.split(marker).join('')
+  }
+  return stripped
+    .replace(/【[^】]*】/g, '')
+    .replace(/[ \t]+([.,;:!?])/g, '$1')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim()
+}
+
+/**
+ * Renders citations as Botium cards or buttons, one for each cited source
+ * @param {Array} citations - Citations
+ * @param {string} renderAs - cards or buttons
+ * @returns {Array} Cards or buttons
+ */
+function renderCitations (citations, renderAs) {
+  const sources = _.uniqBy(citations, c => c.url || c.fileId)
+  if (renderAs === 'buttons') {
+    return sources.map(c => ({ text: c.title || c.filename || c.url || c.fileId, payload: c.url || c.fileId }))
+  }
+  return sources.map(c => {
+    const card = { title: c.title || c.filename || c.url || c.fileId }
+    if (c.url) {
+      card.subtitle = c.url
+      card.buttons = [{ text: c.title || c.url, payload: c.url }]
+    } else {
+      card.subtitle = c.fileId
+    }
+    return card
+  })
+}
+
+module.exports = {
+  extractCitations,
+  stripCitationMarkers,
+  renderCitations
+}
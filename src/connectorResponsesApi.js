@@ -1,10 +1,31 @@
+const fs = require('fs')
+const path = require('path')
 const debug = require('debug')('botium-connector-chatgpt')
 const OpenAI = require('openai')
-const { toFile } = require('openai/uploads')
+const { AzureOpenAI } = require('openai')
 const _ = require('lodash')
 const XLSX = require('xlsx')
+const mime = require('mime-types')
 
 const Capabilities = require('./Capabilities')
+const { readJsonOrFileCap, parseBooleanCap } = require('./helpers')
+const { toChatCompletionParams, fromChatCompletion, toAssistantHistoryMessage } = require('./chatCompletions')
+const { withRetry, classifyError } = require('./retry')
+const { getRateLimiter } = require('./rateLimiter')
+const { loadFunctionTools, toOpenAiFunctionTool, executeFunctionTool } = require('./functionTools')
+const { parseHostedTools, validateHostedTools, parseToolChoice } = require('./hostedTools')
+const { collectDocumentFiles, computeContentHash, provisionVectorStore, deleteVectorStore } = require('./vectorStores')
+const { emptyUsage, addUsage, validatePrices, findModelPrice, calculateCost } = require('./usage')
+const { loadMcpServerConfigs, connectMcpServer, toOpenAiMcpTool, callMcpTool, closeMcpServers } = require('./mcpServers')
+const { getCassette, createCassetteFetch } = require('./cassette')
+const { loadOutputSchema, loadOutputMapping, parseStructuredOutput, mapStructuredOutput } = require('./structuredOutput')
+const { extractCitations, stripCitationMarkers, renderCitations } = require('./citations')
+const { SPREADSHEET_MIME_TYPES, OFFICE_TEXT_MIME_TYPES, spreadsheetToText, officeDocumentToText } = require('./officeDocuments')
+const { FILE_LIFETIMES, FileCache } = require('./fileCache')
+const { extractGeneratedImages, extractContainerFileCitations, downloadContainerFile, toBotMsgFiles } = require('./outputFiles')
+const { AUDIO_INPUT_MODES, SPEECH_FORMATS, isAudio, transcribeAudio, toInputAudio, synthesizeSpeech } = require('./audio')
+const { collectButtons, buttonsToText, formsToText } = require('./userInput')
+const { loadPromptTemplate, loadPromptVariables, renderPrompt, hashPrompt, loadStoredPrompt, toPromptParam } = require('./prompt')
 
 // JSON Schema for Botium-style message output when CHATGPT_RESPOND_AS_BOTIUM_JSON is enabled
 const BOTIUM_JSON_SCHEMA = {
@@ -82,6 +103,40 @@ const BOTIUM_JSON_SCHEMA = {
   }
 }
 
+// JSON Schema for multiple Botium-style messages per response (CHATGPT_MULTI_MESSAGE_MODE=botium_json)
+const BOTIUM_JSON_MESSAGES_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['messages'],
+  properties: {
+    messages: {
+      type: 'array',
+      items: BOTIUM_JSON_SCHEMA
+    }
+  }
+}
+
+const MULTI_MESSAGE_MODES = ['output_items', 'delimiter', 'botium_json']
+const FAIL_ON_OPTIONS = ['refusal', 'incomplete', 'empty']
+const CITATIONS_AS_OPTIONS = ['cards', 'buttons']
+const REASONING_SUMMARY_OPTIONS = ['auto', 'concise', 'detailed']
+// Document types sent as input_file
+const INPUT_FILE_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/rtf'
+]
+
+const STORED_PROMPT_CAPS = {
+  idCapName: Capabilities.CHATGPT_STORED_PROMPT_ID,
+  versionCapName: Capabilities.CHATGPT_STORED_PROMPT_VERSION,
+  variablesCapName: Capabilities.CHATGPT_STORED_PROMPT_VARIABLES
+}
+
 const RequiredCapabilities = [
   Capabilities.CHATGPT_API_KEY,
   Capabilities.CHATGPT_MODEL
@@ -109,6 +164,10 @@ Do not alter, shorten, or reformat Base64 strings.
 Do not infer that Base64 content is a URL. Treat it strictly as file data.
 `
 
+const BOTIUM_JSON_MESSAGES_INSTRUCTIONS = `
+Return each chat bubble of your reply as a separate element of the "messages" array.
+`
+
 /**
  * Masks base64 data in objects for better log readability
  * @param {any} obj - Object to mask
@@ -312,6 +371,104 @@ function maskBase64InObject (obj) {
   return obj
 }
 
+/**
+ * Concatenates all output_text content parts of a response, like the OpenAI SDK does for non-streaming calls
+ * @param {Object} response - Responses API result
+ * @returns {string} Output text
+ */
+function getOutputText (response) {
+  const texts = []
+  for (const item of (response.output || [])) {
+    if (item.type !== 'message') continue
+    for (const content of (item.content || [])) {
+      if (content.type === 'output_text') texts.push(content.text)
+    }
+  }
+  return texts.join('')
+}
+
+/**
+ * Collects the refusal texts of all assistant messages
+ * @param {Object} response - Responses API result
+ * @returns {string} Refusal text, empty if the model did not refuse
+ */
+function getRefusalText (response) {
+  const texts = []
+  for (const item of (response.output || [])) {
+    if (item.type !== 'message') continue
+    for (const content of (item.content || [])) {
+      if (content.type === 'refusal') texts.push(content.refusal)
+    }
+  }
+  return texts.join('\n')
+}
+
+/**
+ * Collects the reasoning summaries of responses
+ * @param {Array} responses - Responses API results
+ * @returns {string} Summary text, paragraphs separated by empty lines
+ */
+function getReasoningSummary (responses) {
+  const texts = []
+  for (const response of responses) {
+    for (const item of (response?.output || [])) {
+      if (item.type !== 'reasoning') continue
+      for (const summary of (item.summary || [])) {
+        if (summary.type === 'summary_text' && summary.text) texts.push(summary.text)
+      }
+    }
+  }
+  return texts.join('\n\n')
+}
+
+/**
+ * Creates an error for a response which is considered as test failure, classified like OpenAI errors
+ * @param {string} type - Error type (function_max_rounds, refusal, incomplete, content_filter, empty_response)
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createResponseError (type, message) {
+  const err = new Error(message)
+  err.classification = { type, retryable: false, status: null, code: null, message }
+  return err
+}
+
+/**
+ * Converts response output items to input items for the local conversation history (stateless mode).
+ * Item ids are not resolvable with store: false, hosted tool calls are dropped (their results are part of the assistant message),
+ * reasoning items are only kept with their encrypted content.
+ * @param {Array} output - Responses API output items
+ * @returns {Array} Input items
+ */
+function toResponseHistoryItems (output) {
+  const items = []
+  for (const item of (output || [])) {
+    if (item.type === 'message') {
+      items.push({ type: 'message', role: item.role, content: item.content })
+    } else if (item.type === 'function_call') {
+      items.push({ type: 'function_call', call_id: item.call_id, name: item.name, arguments: item.arguments })
+    } else if (item.type === 'reasoning' && item.encrypted_content) {
+      items.push({ type: 'reasoning', id: item.id, summary: item.summary || [], encrypted_content: item.encrypted_content })
+    }
+  }
+  return items
+}
+
+/**
+ * Converts a Botium-style JSON message to bot message fields
+ * @param {Object} botiumJson - Botium-style JSON message
+ * @returns {Object} Bot message fields
+ */
+function botiumJsonToBotMsgFields (botiumJson) {
+  const fields = { messageText: botiumJson.messageText }
+  if (Array.isArray(botiumJson.buttons)) fields.buttons = botiumJson.buttons
+  if (Array.isArray(botiumJson.media)) fields.media = botiumJson.media
+  if (Array.isArray(botiumJson.attachments)) fields.attachments = botiumJson.attachments
+  if (Array.isArray(botiumJson.cards)) fields.cards = botiumJson.cards
+  if (!_.isNil(botiumJson.intent)) fields.intent = botiumJson.intent
+  return fields
+}
+
 class BotiumConnectorChatGPTResponsesAPI {
   constructor ({ queueBotSays, caps }) {
     this.queueBotSays = queueBotSays
@@ -319,28 +476,356 @@ class BotiumConnectorChatGPTResponsesAPI {
     this.openai = null
     this.fileSendMode = null
     this.lastResponseId = null
+    this.apiMode = null
+    this.stateless = false
+    this.history = []
+    this.offeredButtons = []
+    this.stream = false
+    this.turnMetrics = null
+    this.retryOptions = null
+    this.rateLimiter = null
+    this.lastUsageTokens = null
+    this.functionTools = []
+    this.mcpServers = []
+    this.vectorStore = null
+    this.prices = null
+    this.instructions = null
+    this.promptHash = null
+    this.storedPrompt = null
+    this.promptParam = null
+    this.conversationPromptVariables = {}
+    this.turnUsage = null
+    this.unpricedModel = null
+    this.conversationUsage = null
+    this.outputSchema = null
+    this.outputMapping = null
+    this.multiMessageMode = null
+    this.failOn = []
+    this.turnResponses = null
+    this.fileCache = null
+    this.fileLifetime = null
   }
 
   Validate () {
     debug('Validate called')
+    const cassetteMode = this.caps[Capabilities.CHATGPT_CASSETTE_MODE] ? String(this.caps[Capabilities.CHATGPT_CASSETTE_MODE]).toLowerCase() : null
     for (const cap of RequiredCapabilities) {
+      // No API key needed for replaying recorded responses
+      if (cap === Capabilities.CHATGPT_API_KEY && cassetteMode === 'replay') continue
+      // The model of a stored prompt is used if not set
+      if (cap === Capabilities.CHATGPT_MODEL && this.caps[Capabilities.CHATGPT_STORED_PROMPT_ID]) continue
       if (!this.caps[cap]) throw new Error(`${cap} capability required`)
     }
+    if (cassetteMode && cassetteMode !== 'record' && cassetteMode !== 'replay') {
+      throw new Error(`CHATGPT_CASSETTE_MODE must be "record" or "replay", got "${this.caps[Capabilities.CHATGPT_CASSETTE_MODE]}"`)
+    }
+    if (cassetteMode === 'replay' && !fs.existsSync(this.getCassetteFile())) {
+      throw new Error(`Cassette file "${this.getCassetteFile()}" not found, record it first with CHATGPT_CASSETTE_MODE=record`)
+    }
     if (this.caps[Capabilities.CHATGPT_FILE_SEND_MODE]) {
       const mode = String(this.caps[Capabilities.CHATGPT_FILE_SEND_MODE]).toLowerCase()
       if (mode !== 'base64' && mode !== 'upload') {
         throw new Error(`CHATGPT_FILE_SEND_MODE must be "base64" or "upload", got "${this.caps[Capabilities.CHATGPT_FILE_SEND_MODE]}"`)
       }
     }
+    if (this.caps[Capabilities.CHATGPT_API_MODE]) {
+      const apiMode = String(this.caps[Capabilities.CHATGPT_API_MODE]).toLowerCase()
+      if (apiMode !== 'responses' && apiMode !== 'chat_completions') {
+        throw new Error(`CHATGPT_API_MODE must be "responses" or "chat_completions", got "${this.caps[Capabilities.CHATGPT_API_MODE]}"`)
+      }
+      if (apiMode === 'chat_completions' && !_.isNil(this.caps[Capabilities.CHATGPT_TOOLS])) {
+        throw new Error('CHATGPT_TOOLS (hosted tools) are not supported in "chat_completions" API mode')
+      }
+      if (apiMode === 'chat_completions' && !_.isNil(this.caps[Capabilities.CHATGPT_INCLUDE])) {
+        throw new Error('CHATGPT_INCLUDE is not supported in "chat_completions" API mode')
+      }
+      if (apiMode === 'chat_completions' && parseBooleanCap(this.caps, Capabilities.CHATGPT_STREAM)) {
+        throw new Error('CHATGPT_STREAM is not supported in "chat_completions" API mode')
+      }
+    }
+    const vectorStoreFiles = collectDocumentFiles(this.caps, Capabilities.CHATGPT_VECTOR_STORE_FILES)
+    if (vectorStoreFiles.length > 0 && String(this.caps[Capabilities.CHATGPT_API_MODE] || '').toLowerCase() === 'chat_completions') {
+      throw new Error('CHATGPT_VECTOR_STORE_FILES is not supported in "chat_completions" API mode')
+    }
+    validateHostedTools(parseHostedTools(this.caps, Capabilities.CHATGPT_TOOLS), Capabilities.CHATGPT_TOOLS, { vectorStoreProvisioned: vectorStoreFiles.length > 0 })
+    parseToolChoice(this.caps, Capabilities.CHATGPT_TOOL_CHOICE)
+    parseBooleanCap(this.caps, Capabilities.CHATGPT_PARALLEL_TOOL_CALLS)
+    loadFunctionTools(this.caps, Capabilities.CHATGPT_FUNCTION_TOOLS)
+    loadMcpServerConfigs(this.caps, Capabilities.CHATGPT_MCP_SERVERS)
+    const outputSchema = loadOutputSchema(this.caps, Capabilities.CHATGPT_OUTPUT_SCHEMA, true)
+    if (outputSchema && this.caps[Capabilities.CHATGPT_RESPOND_AS_BOTIUM_JSON]) {
+      throw new Error('CHATGPT_OUTPUT_SCHEMA and CHATGPT_RESPOND_AS_BOTIUM_JSON are mutually exclusive')
+    }
+    parseBooleanCap(this.caps, Capabilities.CHATGPT_OUTPUT_SCHEMA_STRICT)
+    if (this.caps[Capabilities.CHATGPT_REASONING_SUMMARY]) {
+      if (!REASONING_SUMMARY_OPTIONS.includes(this.caps[Capabilities.CHATGPT_REASONING_SUMMARY])) {
+        throw new Error(`CHATGPT_REASONING_SUMMARY must be one of ${REASONING_SUMMARY_OPTIONS.join(', ')}, got "${this.caps[Capabilities.CHATGPT_REASONING_SUMMARY]}"`)
+      }
+      if (String(this.caps[Capabilities.CHATGPT_API_MODE] || '').toLowerCase() === 'chat_completions') {
+        throw new Error('CHATGPT_REASONING_SUMMARY is not supported in "chat_completions" API mode')
+      }
+    }
+    if (this.caps[Capabilities.CHATGPT_CITATIONS_AS] && !CITATIONS_AS_OPTIONS.includes(String(this.caps[Capabilities.CHATGPT_CITATIONS_AS]).toLowerCase())) {
+      throw new Error(`CHATGPT_CITATIONS_AS must be one of ${CITATIONS_AS_OPTIONS.join(', ')}, got "${this.caps[Capabilities.CHATGPT_CITATIONS_AS]}"`)
+    }
+    parseBooleanCap(this.caps, Capabilities.CHATGPT_STRIP_CITATION_MARKERS)
+    if (this.caps[Capabilities.CHATGPT_SPREADSHEET_FORMAT] && !['markdown', 'csv'].includes(String(this.caps[Capabilities.CHATGPT_SPREADSHEET_FORMAT]).toLowerCase())) {
+      throw new Error(`CHATGPT_SPREADSHEET_FORMAT must be "markdown" or "csv", got "${this.caps[Capabilities.CHATGPT_SPREADSHEET_FORMAT]}"`)
+    }
+    parseBooleanCap(this.caps, Capabilities.CHATGPT_OFFICE_TO_TEXT)
+    if (this.caps[Capabilities.CHATGPT_FILE_LIFETIME] && !FILE_LIFETIMES.includes(String(this.caps[Capabilities.CHATGPT_FILE_LIFETIME]).toLowerCase())) {
+      throw new Error(`CHATGPT_FILE_LIFETIME must be one of ${FILE_LIFETIMES.join(', ')}, got "${this.caps[Capabilities.CHATGPT_FILE_LIFETIME]}"`)
+    }
+    parseBooleanCap(this.caps, Capabilities.CHATGPT_FILE_CLEANUP_ORPHANS)
+    if (parseBooleanCap(this.caps, Capabilities.CHATGPT_STATELESS) && String(this.caps[Capabilities.CHATGPT_FILE_LIFETIME] || '').toLowerCase() === 'message' &&
+      String(this.caps[Capabilities.CHATGPT_FILE_SEND_MODE] || 'upload').toLowerCase() === 'upload' && String(this.caps[Capabilities.CHATGPT_API_MODE] || '').toLowerCase() !== 'chat_completions') {
+      throw new Error('CHATGPT_FILE_LIFETIME "message" cannot be used with CHATGPT_STATELESS and uploaded files, later turns reference the files of earlier turns')
+    }
+    if (this.caps[Capabilities.CHATGPT_AUDIO_INPUT_MODE]) {
+      const audioInputMode = String(this.caps[Capabilities.CHATGPT_AUDIO_INPUT_MODE]).toLowerCase()
+      if (!AUDIO_INPUT_MODES.includes(audioInputMode)) {
+        throw new Error(`CHATGPT_AUDIO_INPUT_MODE must be one of ${AUDIO_INPUT_MODES.join(', ')}, got "${this.caps[Capabilities.CHATGPT_AUDIO_INPUT_MODE]}"`)
+      }
+      if (audioInputMode === 'input_audio' && String(this.caps[Capabilities.CHATGPT_API_MODE] || '').toLowerCase() !== 'chat_completions') {
+        throw new Error('CHATGPT_AUDIO_INPUT_MODE "input_audio" is only supported in "chat_completions" API mode')
+      }
+    }
+    parseBooleanCap(this.caps, Capabilities.CHATGPT_TTS)
+    loadPromptTemplate(this.caps, Capabilities.CHATGPT_PROMPT, Capabilities.CHATGPT_PROMPT_FILE)
+    loadPromptVariables(this.caps, Capabilities.CHATGPT_PROMPT_VARIABLES)
+    if (loadStoredPrompt(this.caps, STORED_PROMPT_CAPS) && String(this.caps[Capabilities.CHATGPT_API_MODE] || '').toLowerCase() === 'chat_completions') {
+      throw new Error('CHATGPT_STORED_PROMPT_ID is not supported in "chat_completions" API mode')
+    }
+    if (this.caps[Capabilities.CHATGPT_TTS_FORMAT] && !Object.keys(SPEECH_FORMATS).includes(String(this.caps[Capabilities.CHATGPT_TTS_FORMAT]).toLowerCase())) {
+      throw new Error(`CHATGPT_TTS_FORMAT must be one of ${Object.keys(SPEECH_FORMATS).join(', ')}, got "${this.caps[Capabilities.CHATGPT_TTS_FORMAT]}"`)
+    }
+    for (const option of this.getFailOn()) {
+      if (!FAIL_ON_OPTIONS.includes(option)) {
+        throw new Error(`CHATGPT_FAIL_ON must be a comma-separated list of ${FAIL_ON_OPTIONS.join(', ')} (or "none"), got "${this.caps[Capabilities.CHATGPT_FAIL_ON]}"`)
+      }
+    }
+    if (this.caps[Capabilities.CHATGPT_MULTI_MESSAGE_MODE]) {
+      const multiMessageMode = String(this.caps[Capabilities.CHATGPT_MULTI_MESSAGE_MODE]).toLowerCase()
+      if (!MULTI_MESSAGE_MODES.includes(multiMessageMode)) {
+        throw new Error(`CHATGPT_MULTI_MESSAGE_MODE must be one of ${MULTI_MESSAGE_MODES.join(', ')}, got "${this.caps[Capabilities.CHATGPT_MULTI_MESSAGE_MODE]}"`)
+      }
+      if (multiMessageMode === 'botium_json' && !this.caps[Capabilities.CHATGPT_RESPOND_AS_BOTIUM_JSON]) {
+        throw new Error('CHATGPT_RESPOND_AS_BOTIUM_JSON capability required for CHATGPT_MULTI_MESSAGE_MODE "botium_json"')
+      }
+      if (multiMessageMode !== 'botium_json' && (this.caps[Capabilities.CHATGPT_RESPOND_AS_BOTIUM_JSON] || outputSchema)) {
+        throw new Error(`CHATGPT_MULTI_MESSAGE_MODE "${multiMessageMode}" is only available for text responses, use "botium_json" with CHATGPT_RESPOND_AS_BOTIUM_JSON`)
+      }
+    }
+    const outputMapping = loadOutputMapping(this.caps, Capabilities.CHATGPT_OUTPUT_MAPPING)
+    if (outputMapping && !outputSchema) {
+      throw new Error('CHATGPT_OUTPUT_SCHEMA capability required for CHATGPT_OUTPUT_MAPPING')
+    }
+    const prices = readJsonOrFileCap(this.caps, Capabilities.CHATGPT_PRICES)?.value
+    if (prices) validatePrices(prices, Capabilities.CHATGPT_PRICES)
+    if (!_.isNil(this.caps[Capabilities.CHATGPT_BUDGET_MAX_COST]) && !(Number(this.caps[Capabilities.CHATGPT_BUDGET_MAX_COST]) > 0)) {
+      throw new Error(`CHATGPT_BUDGET_MAX_COST must be a positive number, got "${this.caps[Capabilities.CHATGPT_BUDGET_MAX_COST]}"`)
+    }
+    if (!_.isNil(this.caps[Capabilities.CHATGPT_BUDGET_MAX_COST]) && !prices) {
+      throw new Error('CHATGPT_PRICES capability required for CHATGPT_BUDGET_MAX_COST')
+    }
+    for (const cap of [Capabilities.CHATGPT_FILE_ORPHAN_MIN_AGE, Capabilities.CHATGPT_SPREADSHEET_MAX_ROWS, Capabilities.CHATGPT_ATTACHMENT_MAX_CHARS, Capabilities.CHATGPT_BUDGET_MAX_TOKENS, Capabilities.CHATGPT_VECTOR_STORE_TIMEOUT, Capabilities.CHATGPT_FUNCTION_MAX_ROUNDS, Capabilities.CHATGPT_MAX_RETRIES, Capabilities.CHATGPT_RETRY_INITIAL_DELAY, Capabilities.CHATGPT_RETRY_MAX_DELAY, Capabilities.CHATGPT_RATE_LIMIT_RPM, Capabilities.CHATGPT_RATE_LIMIT_TPM, Capabilities.CHATGPT_RATE_LIMIT_CONCURRENCY, Capabilities.CHATGPT_HISTORY_MAX_TURNS, Capabilities.CHATGPT_HISTORY_MAX_TOKENS]) {
+      if (!_.isNil(this.caps[cap]) && !(Number.isInteger(Number(this.caps[cap])) && Number(this.caps[cap]) >= 0)) {
+        throw new Error(`${cap} must be a non-negative integer, got "${this.caps[cap]}"`)
+      }
+    }
+    if (!_.isNil(this.caps[Capabilities.CHATGPT_REQUEST_TIMEOUT]) && !(Number(this.caps[Capabilities.CHATGPT_REQUEST_TIMEOUT]) > 0)) {
+      throw new Error(`CHATGPT_REQUEST_TIMEOUT must be a positive number of milliseconds, got "${this.caps[Capabilities.CHATGPT_REQUEST_TIMEOUT]}"`)
+    }
+    const defaultHeaders = readJsonOrFileCap(this.caps, Capabilities.CHATGPT_DEFAULT_HEADERS)?.value
+    if (defaultHeaders && (!_.isPlainObject(defaultHeaders) || !Object.values(defaultHeaders).every(v => _.isString(v)))) {
+      throw new Error('CHATGPT_DEFAULT_HEADERS must be a JSON object with string values')
+    }
+    parseBooleanCap(this.caps, Capabilities.CHATGPT_STREAM)
+    parseBooleanCap(this.caps, Capabilities.CHATGPT_VECTOR_STORE_REUSE)
+    parseBooleanCap(this.caps, Capabilities.CHATGPT_STREAM_PARTIAL_MESSAGES)
+    parseBooleanCap(this.caps, Capabilities.CHATGPT_STATELESS)
+    if (this.caps[Capabilities.CHATGPT_AZURE_ENDPOINT]) {
+      if (!this.caps[Capabilities.CHATGPT_AZURE_API_VERSION]) {
+        throw new Error('CHATGPT_AZURE_API_VERSION capability required for Azure OpenAI')
+      }
+      if (this.caps[Capabilities.CHATGPT_BASE_URL]) {
+        throw new Error('CHATGPT_BASE_URL and CHATGPT_AZURE_ENDPOINT are mutually exclusive')
+      }
+    } else if (this.caps[Capabilities.CHATGPT_AZURE_DEPLOYMENT] || this.caps[Capabilities.CHATGPT_AZURE_API_VERSION]) {
+      throw new Error('CHATGPT_AZURE_ENDPOINT capability required for Azure OpenAI')
+    }
   }
 
-  Build () {
+  /**
+   * Creates the OpenAI client, either for Azure OpenAI or for OpenAI (compatible) endpoints
+   * @returns {OpenAI} OpenAI client
+   */
+  createOpenAiClient () {
+    const options = {
+      apiKey: this.caps[Capabilities.CHATGPT_API_KEY] || 'replay',
+      // Retries are handled by the connector (see requestWithRetry)
+      maxRetries: 0
+    }
+    if (this.caps[Capabilities.CHATGPT_CASSETTE_MODE]) {
+      const cassetteMode = String(this.caps[Capabilities.CHATGPT_CASSETTE_MODE]).toLowerCase()
+      debug(`Cassette ${cassetteMode} mode, using ${this.getCassetteFile()}`)
+      const cassette = getCassette(this.getCassetteFile(), cassetteMode, maskBase64InObject)
+      // Request headers are not recorded, but keys might show up in bodies (e.g. in error messages)
+      cassette.addSecrets([this.caps[Capabilities.CHATGPT_API_KEY], ...Object.values(readJsonOrFileCap(this.caps, Capabilities.CHATGPT_DEFAULT_HEADERS)?.value || {})])
+      options.fetch = createCassetteFetch(cassette)
+    }
+    if (!_.isNil(this.caps[Capabilities.CHATGPT_REQUEST_TIMEOUT])) options.timeout = Number(this.caps[Capabilities.CHATGPT_REQUEST_TIMEOUT])
+    const defaultHeaders = readJsonOrFileCap(this.caps, Capabilities.CHATGPT_DEFAULT_HEADERS)?.value
+    if (defaultHeaders) options.defaultHeaders = defaultHeaders
+    if (this.caps[Capabilities.CHATGPT_ORGANIZATION]) options.organization = this.caps[Capabilities.CHATGPT_ORGANIZATION]
+    if (this.caps[Capabilities.CHATGPT_PROJECT]) options.project = this.caps[Capabilities.CHATGPT_PROJECT]
+
+    if (this.caps[Capabilities.CHATGPT_AZURE_ENDPOINT]) {
+      debug(`Using Azure OpenAI endpoint ${this.caps[Capabilities.CHATGPT_AZURE_ENDPOINT]}`)
+      options.endpoint = this.caps[Capabilities.CHATGPT_AZURE_ENDPOINT]
+      options.apiVersion = this.caps[Capabilities.CHATGPT_AZURE_API_VERSION]
+      if (this.caps[Capabilities.CHATGPT_AZURE_DEPLOYMENT]) options.deployment = this.caps[Capabilities.CHATGPT_AZURE_DEPLOYMENT]
+      return new AzureOpenAI(options)
+    }
+    if (this.caps[Capabilities.CHATGPT_BASE_URL]) {
+      debug(`Using OpenAI base URL ${this.caps[Capabilities.CHATGPT_BASE_URL]}`)
+      options.baseURL = this.caps[Capabilities.CHATGPT_BASE_URL]
+    }
+    return new OpenAI(options)
+  }
+
+  /**
+   * @returns {string} Absolute path of the cassette file for record and replay mode
+   */
+  getCassetteFile () {
+    return path.resolve(process.cwd(), this.caps[Capabilities.CHATGPT_CASSETTE_FILE] || 'cassettes/chatgpt.json')
+  }
+
+  async Build () {
     debug('Build called')
-    this.openai = new OpenAI({
-      apiKey: this.caps[Capabilities.CHATGPT_API_KEY]
-    })
+    this.openai = this.createOpenAiClient()
+    this.retryOptions = {
+      maxRetries: _.isNil(this.caps[Capabilities.CHATGPT_MAX_RETRIES]) ? 2 : Number(this.caps[Capabilities.CHATGPT_MAX_RETRIES]),
+      initialDelay: _.isNil(this.caps[Capabilities.CHATGPT_RETRY_INITIAL_DELAY]) ? 1000 : Number(this.caps[Capabilities.CHATGPT_RETRY_INITIAL_DELAY]),
+      maxDelay: _.isNil(this.caps[Capabilities.CHATGPT_RETRY_MAX_DELAY]) ? 60000 : Number(this.caps[Capabilities.CHATGPT_RETRY_MAX_DELAY])
+    }
+    const rateLimits = {
+      rpm: Number(this.caps[Capabilities.CHATGPT_RATE_LIMIT_RPM] || 0),
+      tpm: Number(this.caps[Capabilities.CHATGPT_RATE_LIMIT_TPM] || 0),
+      maxConcurrent: Number(this.caps[Capabilities.CHATGPT_RATE_LIMIT_CONCURRENCY] || 0)
+    }
+    this.rateLimiter = (rateLimits.rpm || rateLimits.tpm || rateLimits.maxConcurrent)
+      ? getRateLimiter(this.openai.baseURL, this.caps[Capabilities.CHATGPT_API_KEY], rateLimits)
+      : null
+    this.apiMode = String(this.caps[Capabilities.CHATGPT_API_MODE] || 'responses').toLowerCase()
     this.fileSendMode = String(this.caps[Capabilities.CHATGPT_FILE_SEND_MODE] || 'upload').toLowerCase() === 'upload' ? 'upload' : 'base64'
+    if (this.apiMode === 'chat_completions' && this.fileSendMode === 'upload') {
+      // File uploads cannot be referenced in Chat Completions messages
+      debug('Chat Completions API mode, sending attachments as base64')
+      this.fileSendMode = 'base64'
+    }
     this.respondAsBotiumJson = this.caps[Capabilities.CHATGPT_RESPOND_AS_BOTIUM_JSON]
+    this.stream = !!parseBooleanCap(this.caps, Capabilities.CHATGPT_STREAM)
+    this.stateless = !!parseBooleanCap(this.caps, Capabilities.CHATGPT_STATELESS)
+    this.functionTools = loadFunctionTools(this.caps, Capabilities.CHATGPT_FUNCTION_TOOLS)
+    this.prices = readJsonOrFileCap(this.caps, Capabilities.CHATGPT_PRICES)?.value
+    this.outputSchema = loadOutputSchema(this.caps, Capabilities.CHATGPT_OUTPUT_SCHEMA, parseBooleanCap(this.caps, Capabilities.CHATGPT_OUTPUT_SCHEMA_STRICT) !== false)
+    this.outputMapping = loadOutputMapping(this.caps, Capabilities.CHATGPT_OUTPUT_MAPPING)
+    this.multiMessageMode = this.caps[Capabilities.CHATGPT_MULTI_MESSAGE_MODE] ? String(this.caps[Capabilities.CHATGPT_MULTI_MESSAGE_MODE]).toLowerCase() : null
+    this.failOn = this.getFailOn()
+    this.promptTemplate = loadPromptTemplate(this.caps, Capabilities.CHATGPT_PROMPT, Capabilities.CHATGPT_PROMPT_FILE)
+    this.promptVariables = loadPromptVariables(this.caps, Capabilities.CHATGPT_PROMPT_VARIABLES)
+    this.storedPrompt = loadStoredPrompt(this.caps, STORED_PROMPT_CAPS)
+    this.audioInputMode = String(this.caps[Capabilities.CHATGPT_AUDIO_INPUT_MODE] || 'transcribe').toLowerCase()
+    this.tts = parseBooleanCap(this.caps, Capabilities.CHATGPT_TTS)
+      ? {
+        model: this.caps[Capabilities.CHATGPT_TTS_MODEL] || 'gpt-4o-mini-tts',
+        voice: this.caps[Capabilities.CHATGPT_TTS_VOICE] || 'alloy',
+        format: String(this.caps[Capabilities.CHATGPT_TTS_FORMAT] || 'mp3').toLowerCase(),
+        instructions: this.caps[Capabilities.CHATGPT_TTS_INSTRUCTIONS] || null
+      }
+      : null
+
+    this.fileLifetime = String(this.caps[Capabilities.CHATGPT_FILE_LIFETIME] || (this.stateless ? 'conversation' : 'message')).toLowerCase()
+    this.fileCache = new FileCache(this.openai, {
+      prefix: _.isNil(this.caps[Capabilities.CHATGPT_FILE_PREFIX]) ? 'botium-' : this.caps[Capabilities.CHATGPT_FILE_PREFIX],
+      request: (name, fn) => this.requestWithRetry(name, fn)
+    })
+    if (parseBooleanCap(this.caps, Capabilities.CHATGPT_FILE_CLEANUP_ORPHANS)) {
+      if (!this.fileCache.prefix) throw new Error('CHATGPT_FILE_PREFIX must not be empty for CHATGPT_FILE_CLEANUP_ORPHANS')
+      const minAge = _.isNil(this.caps[Capabilities.CHATGPT_FILE_ORPHAN_MIN_AGE]) ? 3600 : Number(this.caps[Capabilities.CHATGPT_FILE_ORPHAN_MIN_AGE])
+      const deleted = await this.requestWithRetry('files.list', () => this.fileCache.cleanupOrphans(minAge))
+      debug(`Deleted ${deleted} orphaned files with prefix "${this.fileCache.prefix}"`)
+    }
+
+    const vectorStoreFiles = collectDocumentFiles(this.caps, Capabilities.CHATGPT_VECTOR_STORE_FILES)
+    if (vectorStoreFiles.length > 0) {
+      const reuse = !!parseBooleanCap(this.caps, Capabilities.CHATGPT_VECTOR_STORE_REUSE)
+      this.vectorStore = await provisionVectorStore(this.openai, {
+        files: vectorStoreFiles,
+        name: this.caps[Capabilities.CHATGPT_VECTOR_STORE_NAME],
+        contentHash: computeContentHash(vectorStoreFiles),
+        reuse,
+        // Files of vector stores kept for reuse must not be deleted as orphans
+        prefix: reuse ? '' : this.fileCache.prefix,
+        timeout: Number(this.caps[Capabilities.CHATGPT_VECTOR_STORE_TIMEOUT] || 300000),
+        request: (name, fn) => this.requestWithRetry(name, fn)
+      })
+    }
+
+    this.mcpServers = []
+    const toolNames = ['createExcelFile', ...this.functionTools.map(t => t.name)]
+    try {
+      for (const mcpServerConfig of loadMcpServerConfigs(this.caps, Capabilities.CHATGPT_MCP_SERVERS)) {
+        const mcpServer = await connectMcpServer(mcpServerConfig)
+        this.mcpServers.push(mcpServer)
+        for (const tool of mcpServer.tools) {
+          if (toolNames.includes(tool.name)) {
+            throw new Error(`Tool "${tool.name}" (MCP tool "${tool.mcpName}") of MCP server "${mcpServer.name}" is already defined, use the "prefix" option of the MCP server to avoid name conflicts`)
+          }
+          toolNames.push(tool.name)
+        }
+      }
+    } catch (err) {
+      // Servers connected and the vector store provisioned before are not used anymore
+      await closeMcpServers(this.mcpServers)
+      this.mcpServers = []
+      await this.releaseVectorStore()
+      throw err
+    }
+  }
+
+  /**
+   * Deletes the vector store provisioned at build time, unless it is kept for reuse
+   */
+  async releaseVectorStore () {
+    if (this.vectorStore && !this.vectorStore.reused && !parseBooleanCap(this.caps, Capabilities.CHATGPT_VECTOR_STORE_REUSE)) {
+      await deleteVectorStore(this.openai, this.vectorStore)
+    }
+    this.vectorStore = null
+  }
+
+  /**
+   * Runs an OpenAI request, retrying it on transient errors with exponential backoff
+   * @param {string} name - Request name for logging
+   * @param {Function} fn - Async function sending the request
+   * @returns {Promise<any>} Result of the request
+   */
+  async requestWithRetry (name, fn) {
+    return withRetry(fn, Object.assign({ name }, this.retryOptions))
+  }
+
+  /**
+   * Finds a tool of the connected MCP servers by its (prefixed) name
+   * @param {string} name - Tool name
+   * @returns {Object} Object with server and tool, or null if not found
+   */
+  findMcpTool (name) {
+    for (const server of this.mcpServers) {
+      const tool = server.tools.find(t => t.name === name)
+      if (tool) return { server, tool }
+    }
+    return null
   }
 
   /**
@@ -406,33 +891,74 @@ class BotiumConnectorChatGPTResponsesAPI {
     debug(`OpenAI input: ${JSON.stringify(maskBase64InObject(input))}`)
     const params = {
       model: this.caps[Capabilities.CHATGPT_MODEL],
-      instructions: (this.caps[Capabilities.CHATGPT_PROMPT] || '') + (this.respondAsBotiumJson ? BOTIUM_JSON_INSTRUCTIONS : ''),
+      instructions: this.instructions,
       previous_response_id: this.lastResponseId,
       input: input
     }
+    if (this.promptParam) {
+      // Instructions and tools are added to the ones of the stored prompt
+      params.prompt = this.promptParam
+      if (!params.model) delete params.model
+      if (!params.instructions) delete params.instructions
+    }
+    if (this.stateless && this.apiMode === 'responses') {
+      // Nothing is stored on OpenAI side, the whole conversation is sent with every request
+      params.store = false
+      delete params.previous_response_id
+      params.input = [...this.getHistoryItems(), ...input]
+    }
 
     if (this.respondAsBotiumJson) {
       params.text = {
         format: {
           type: 'json_schema',
-          name: 'botium_message',
-          schema: BOTIUM_JSON_SCHEMA,
+          name: this.multiMessageMode === 'botium_json' ? 'botium_messages' : 'botium_message',
+          schema: this.multiMessageMode === 'botium_json' ? BOTIUM_JSON_MESSAGES_SCHEMA : BOTIUM_JSON_SCHEMA,
           strict: true
         }
       }
+    } else if (this.outputSchema) {
+      params.text = {
+        format: {
+          type: 'json_schema',
+          name: this.outputSchema.name,
+          schema: this.outputSchema.schema,
+          strict: this.outputSchema.strict
+        }
+      }
     }
 
-    // Initialize tools array with Excel creation tool
-    const tools = [this.getExcelCreationTool()]
+    // Initialize tools array with Excel creation tool, user-defined function tools and MCP server tools
+    const tools = [
+      this.getExcelCreationTool(),
+      ...this.functionTools.map(toOpenAiFunctionTool),
+      ..._.flatMap(this.mcpServers, server => server.tools.map(toOpenAiMcpTool))
+    ]
 
-    // Add any additional tools from capabilities
-    if (!_.isNil(this.caps[Capabilities.CHATGPT_TOOLS])) {
-      const additionalTools = this.caps[Capabilities.CHATGPT_TOOLS].split(',').map(tool => ({ type: tool.trim() }))
-      tools.push(...additionalTools)
+    // Add any additional (hosted) tools from capabilities
+    const hostedTools = parseHostedTools(this.caps, Capabilities.CHATGPT_TOOLS)
+    if (this.vectorStore) {
+      // Attach the provisioned vector store to the file_search tool
+      const fileSearchTool = hostedTools.find(t => t.type === 'file_search')
+      if (fileSearchTool) {
+        fileSearchTool.vector_store_ids = [...(fileSearchTool.vector_store_ids || []), this.vectorStore.vectorStoreId]
+      } else {
+        hostedTools.push({ type: 'file_search', vector_store_ids: [this.vectorStore.vectorStoreId] })
+      }
     }
+    tools.push(...hostedTools)
 
     params.tools = tools
 
+    const toolChoice = parseToolChoice(this.caps, Capabilities.CHATGPT_TOOL_CHOICE)
+    if (toolChoice) {
+      params.tool_choice = toolChoice
+    }
+    const parallelToolCalls = parseBooleanCap(this.caps, Capabilities.CHATGPT_PARALLEL_TOOL_CALLS)
+    if (!_.isNil(parallelToolCalls)) {
+      params.parallel_tool_calls = parallelToolCalls
+    }
+
     if (!_.isNil(this.caps[Capabilities.CHATGPT_INCLUDE])) {
       params.include = this.caps[Capabilities.CHATGPT_INCLUDE].split(',').map(include => include.trim())
     }
@@ -442,119 +968,466 @@ class BotiumConnectorChatGPTResponsesAPI {
     if (!_.isNil(this.caps[Capabilities.CHATGPT_MAX_TOKENS])) {
       params.max_output_tokens = this.caps[Capabilities.CHATGPT_MAX_TOKENS]
     }
-    if (!_.isNil(this.caps[Capabilities.CHATGPT_REASONING_EFFORT])) {
-      params.reasoning = { effort: this.caps[Capabilities.CHATGPT_REASONING_EFFORT] }
+    if (!_.isNil(this.caps[Capabilities.CHATGPT_REASONING_EFFORT]) || this.caps[Capabilities.CHATGPT_REASONING_SUMMARY]) {
+      params.reasoning = {}
+      if (!_.isNil(this.caps[Capabilities.CHATGPT_REASONING_EFFORT])) params.reasoning.effort = this.caps[Capabilities.CHATGPT_REASONING_EFFORT]
+      if (this.caps[Capabilities.CHATGPT_REASONING_SUMMARY]) params.reasoning.summary = this.caps[Capabilities.CHATGPT_REASONING_SUMMARY]
+    }
+    if (params.store === false) {
+      // Reasoning items can only be passed back in encrypted form without storage, reasoning models reason
+      // without reasoning parameters as well
+      params.include = _.uniq([...(params.include || []), 'reasoning.encrypted_content'])
     }
 
-    debug(`OpenAI params: ${JSON.stringify(maskBase64InObject(params))}`)
-    const result = await this.openai.responses.create(params)
+    const rateLimitSlot = this.rateLimiter ? await this.rateLimiter.acquire(this.estimateTokens(params)) : null
+    let result
+    try {
+      if (this.apiMode === 'chat_completions') {
+        result = await this.callChatCompletions(params)
+      } else if (this.stream) {
+        result = await this.callOpenAiStreaming(params)
+      } else {
+        debug(`OpenAI params: ${JSON.stringify(maskBase64InObject(params))}`)
+        result = await this.requestWithRetry('responses.create', () => this.openai.responses.create(params))
+      }
+    } catch (err) {
+      if (rateLimitSlot) rateLimitSlot.release()
+      throw err
+    }
     debug(`OpenAI response: ${JSON.stringify(maskBase64InObject(result))}`)
 
+    if (result?.usage) {
+      this.lastUsageTokens = result.usage.total_tokens
+    }
+    this.recordUsage(result)
+    // Hosted tool outputs are collected from all responses of the turn (function call rounds)
+    if (this.turnResponses) this.turnResponses.push(result)
+    if (rateLimitSlot) rateLimitSlot.release(result?.usage?.total_tokens)
+
     // Update lastResponseId after successful API call
     if (result?.id) {
       this.lastResponseId = result.id
     }
+    if (params.store === false) {
+      this.addHistoryItems([...input, ...toResponseHistoryItems(result.output)])
+    }
 
     return result
   }
 
   /**
-   * Processes tool outputs from response and extracts Excel files
+   * Adds the token usage and cost of a response to the totals of the current turn and of the conversation
+   * @param {Object} result - Responses API result
+   */
+  recordUsage (result) {
+    const callUsage = addUsage(emptyUsage(), result?.usage)
+    const cost = calculateCost(callUsage, findModelPrice(this.prices, [this.caps[Capabilities.CHATGPT_MODEL], result?.model]))
+    if (cost === null) this.unpricedModel = result?.model || this.caps[Capabilities.CHATGPT_MODEL]
+    for (const totals of [this.turnUsage, this.conversationUsage]) {
+      if (!totals) continue
+      addUsage(totals, result?.usage)
+      // Without prices for the model, the cost is unknown
+      totals.cost = (cost === null || totals.cost === null) ? null : _.round(totals.cost + cost, 6)
+    }
+  }
+
+  /**
+   * Checks the token and cost budget of the conversation
+   * @throws {Error} If the budget is exceeded
+   */
+  checkBudget () {
+    const maxTokens = this.caps[Capabilities.CHATGPT_BUDGET_MAX_TOKENS]
+    const maxCost = this.caps[Capabilities.CHATGPT_BUDGET_MAX_COST]
+    if (!_.isNil(maxTokens) && this.conversationUsage.totalTokens > Number(maxTokens)) {
+      throw new Error(`Token budget exceeded: ${this.conversationUsage.totalTokens} tokens used in conversation, limit is ${maxTokens}`)
+    }
+    if (!_.isNil(maxCost) && this.conversationUsage.cost === null) {
+      // The cost budget cannot be enforced without prices
+      throw new Error(`Cost budget cannot be checked: no price for model "${this.unpricedModel}" in CHATGPT_PRICES`)
+    }
+    if (!_.isNil(maxCost) && this.conversationUsage.cost > Number(maxCost)) {
+      throw new Error(`Cost budget exceeded: $${this.conversationUsage.cost} spent in conversation, limit is $${maxCost}`)
+    }
+  }
+
+  /**
+   * Estimates the tokens of a request for the rate limiter, corrected later by the usage of the response
+   * @param {Object} params - Responses API parameters
+   * @returns {number} Estimated tokens (roughly 4 characters per token)
+   */
+  estimateTokens (params) {
+    let chars = JSON.stringify(maskBase64InObject(params)).length
+    if (this.apiMode === 'chat_completions') chars += JSON.stringify(maskBase64InObject(this.getHistoryItems())).length
+    let tokens = Math.ceil(chars / 4)
+    // The previous response is part of the context again
+    if (params.previous_response_id && this.lastUsageTokens) tokens += this.lastUsageTokens
+    if (!_.isNil(params.max_output_tokens)) tokens += Number(params.max_output_tokens)
+    return tokens
+  }
+
+  /**
+   * Calls the Responses API in streaming mode, collects timings and optionally emits partial bot messages
+   * @param {Object} params - Responses API parameters
+   * @returns {Object} Final response, with output_text
+   */
+  async callOpenAiStreaming (params) {
+    debug(`OpenAI params (streaming): ${JSON.stringify(maskBase64InObject(params))}`)
+    const partialMessages = !!parseBooleanCap(this.caps, Capabilities.CHATGPT_STREAM_PARTIAL_MESSAGES) && !this.respondAsBotiumJson && !this.outputSchema
+    const partialInterval = Number(this.caps[Capabilities.CHATGPT_STREAM_PARTIAL_INTERVAL] || 0)
+
+    const requestStartedAt = Date.now()
+    const stream = await this.requestWithRetry('responses.create', () => this.openai.responses.create(Object.assign({}, params, { stream: true })))
+
+    let result = null
+    let firstTokenAt = null
+    let partialText = ''
+    let lastPartialAt = 0
+    for await (const event of stream) {
+      if (event.type === 'response.output_text.delta' || event.type === 'response.refusal.delta' || event.type === 'response.function_call_arguments.delta') {
+        if (!firstTokenAt) firstTokenAt = Date.now()
+      }
+      if (event.type === 'response.output_text.delta') {
+        if (this.turnMetrics && !this.turnMetrics.firstTextAt) this.turnMetrics.firstTextAt = Date.now()
+        partialText += event.delta
+        if (partialMessages && Date.now() - lastPartialAt >= partialInterval) {
+          lastPartialAt = Date.now()
+          const partialMsg = { sender: 'bot', messageText: partialText, partial: true, promptHash: this.promptHash }
+          setTimeout(() => this.queueBotSays(partialMsg), 0)
+        }
+      } else if (event.type === 'response.completed' || event.type === 'response.incomplete') {
+        result = event.response
+      } else if (event.type === 'response.failed') {
+        throw new Error(event.response?.error?.message || 'Response failed')
+      } else if (event.type === 'error') {
+        throw new Error(event.message || 'Streaming error')
+      }
+    }
+    const completedAt = Date.now()
+    if (!result) {
+      throw new Error('Stream ended without a response')
+    }
+    result.output_text = getOutputText(result)
+
+    const outputTokens = result.usage?.output_tokens
+    const callMetrics = {
+      responseId: result.id,
+      timeToFirstTokenMs: firstTokenAt ? firstTokenAt - requestStartedAt : null,
+      latencyMs: completedAt - requestStartedAt,
+      outputTokens: _.isNil(outputTokens) ? null : outputTokens,
+      tokensPerSecond: outputTokens && firstTokenAt && completedAt > firstTokenAt ? _.round(outputTokens / ((completedAt - firstTokenAt) / 1000), 2) : null
+    }
+    debug(`Streaming metrics: ${JSON.stringify(callMetrics)}`)
+    if (this.turnMetrics) this.turnMetrics.calls.push(callMetrics)
+    return result
+  }
+
+  /**
+   * Summarizes the streaming metrics of all API calls of the current turn
+   * @returns {Object} Metrics (time to first token, total latency, output tokens and throughput)
+   */
+  getTurnMetrics () {
+    const { startedAt, firstTextAt, calls } = this.turnMetrics
+    const outputTokens = _.sumBy(calls, c => c.outputTokens || 0)
+    const generationMs = _.sumBy(calls, c => (c.timeToFirstTokenMs === null ? 0 : c.latencyMs - c.timeToFirstTokenMs))
+    return {
+      timeToFirstTokenMs: firstTextAt ? firstTextAt - startedAt : null,
+      totalLatencyMs: Date.now() - startedAt,
+      outputTokens,
+      tokensPerSecond: outputTokens && generationMs > 0 ? _.round(outputTokens / (generationMs / 1000), 2) : null,
+      calls
+    }
+  }
+
+  /**
+   * Returns the locally kept conversation history (Chat Completions mode and stateless mode), trimmed by
+   * CHATGPT_HISTORY_MAX_TURNS and CHATGPT_HISTORY_MAX_TOKENS. Trimming always removes whole turns, so function calls,
+   * their outputs and reasoning items stay together. The current turn is never removed.
+   * @returns {Array} History items
+   */
+  getHistoryItems () {
+    const maxTurns = Number(this.caps[Capabilities.CHATGPT_HISTORY_MAX_TURNS] || 0)
+    const maxTokens = Number(this.caps[Capabilities.CHATGPT_HISTORY_MAX_TOKENS] || 0)
+
+    let turns = this.history
+    if (maxTurns && turns.length > maxTurns) {
+      turns = turns.slice(turns.length - maxTurns)
+    }
+    if (maxTokens) {
+      const turnTokens = turns.map(turn => Math.ceil(JSON.stringify(maskBase64InObject(turn)).length / 4))
+      let tokens = _.sum(turnTokens)
+      let skip = 0
+      while (tokens > maxTokens && skip < turns.length - 1) {
+        tokens -= turnTokens[skip]
+        skip++
+      }
+      turns = turns.slice(skip)
+    }
+    if (turns.length < this.history.length) {
+      debug(`Trimmed conversation history from ${this.history.length} to ${turns.length} turns`)
+    }
+    return _.flatten(turns)
+  }
+
+  /**
+   * Adds items to the current turn of the locally kept conversation history
+   * @param {Array} items - History items
+   */
+  addHistoryItems (items) {
+    if (this.history.length === 0) this.history.push([])
+    this.history[this.history.length - 1].push(...items)
+  }
+
+  /**
+   * Calls the Chat Completions API with Responses API parameters, keeping the conversation history locally
+   * @param {Object} params - Responses API parameters
+   * @returns {Object} Chat Completions result mapped to the shape of a Responses API result
+   */
+  async callChatCompletions (params) {
+    const { chatParams, newMessages } = toChatCompletionParams(params, this.getHistoryItems())
+    debug(`OpenAI Chat Completions params: ${JSON.stringify(maskBase64InObject(chatParams))}`)
+    const completion = await this.requestWithRetry('chat.completions.create', () => this.openai.chat.completions.create(chatParams))
+    debug(`OpenAI Chat Completions result: ${JSON.stringify(maskBase64InObject(completion))}`)
+
+    // Only successful turns are added to the history
+    this.addHistoryItems([...newMessages, toAssistantHistoryMessage(completion)])
+    return fromChatCompletion(completion)
+  }
+
+  /**
+   * Processes tool outputs from response and extracts Excel files. Function calls of user-defined function tools
+   * are answered with their mocked outputs, follow-up calls are made until no more function calls are returned.
    * @param {Object} response - The API response object
-   * @returns {Object} Object containing excelMedia array and optional followUpResponse
+   * @returns {Object} Object containing excelAttachments array, functionCalls array and optional followUpResponse
    */
   async extractExcelFilesFromResponse (response) {
     let followUpResponse = null
     const excelAttachments = []
+    const functionCalls = []
+    const maxRounds = _.isNil(this.caps[Capabilities.CHATGPT_FUNCTION_MAX_ROUNDS]) ? 10 : Number(this.caps[Capabilities.CHATGPT_FUNCTION_MAX_ROUNDS])
 
-    try {
-      // Check for function calls in response.output
-      if (Array.isArray(response.output)) {
-        const functionCalls = []
-        const functionCallOutputs = []
-
-        response.output.forEach((item) => {
-          if (item.type === 'function_call') {
-            debug('[Excel] Found function_call:', item.name)
-            // Collect function calls to add to conversation
-            functionCalls.push(item)
-
-            if (item.name === 'createExcelFile') {
-              debug('[Excel] Processing createExcelFile function call')
-              try {
-                // Execute the function logic for createExcelFile
-                const args = typeof item.arguments === 'string'
-                  ? JSON.parse(item.arguments)
-                  : item.arguments
-
-                const excelBase64 = this.createExcelFile(args.data)
-                excelAttachments.push({
-                  name: 'excel.xlsx',
-                  mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-                  base64: excelBase64
-                })
-                // Provide function call results to the model
-                functionCallOutputs.push({
-                  type: 'function_call_output',
-                  call_id: item.call_id,
-                  output: ''
-                  // output: JSON.stringify({
-                  //   file_base64: excelBase64
-                  // })
-                })
-              } catch (error) {
-                debug('[Excel] Error executing createExcelFile:', error?.message || error)
-              }
-            }
-          }
-        })
+    let currentResponse = response
+    for (let round = 1; Array.isArray(currentResponse?.output); round++) {
+      const functionCallOutputs = []
 
-        // If we have function call outputs, make a follow-up API call
-        if (functionCallOutputs.length > 0) {
-          debug('[Excel] Making follow-up API call', { outputs: functionCallOutputs.length, responseId: response.id })
+      for (const item of currentResponse.output) {
+        if (item.type !== 'function_call') continue
+        debug('[Excel] Found function_call:', item.name)
 
-          // For Responses API with function calls:
-          // - Use previous_response_id to reference the response containing function calls
-          // - Only pass function call outputs in input array, not the full conversation
-          const input = functionCallOutputs
+        if (item.name === 'createExcelFile') {
+          debug('[Excel] Processing createExcelFile function call')
+          try {
+            // Execute the function logic for createExcelFile
+            const args = typeof item.arguments === 'string'
+              ? JSON.parse(item.arguments)
+              : item.arguments
 
+            const excelBase64 = this.createExcelFile(args.data)
+            excelAttachments.push({
+              name: 'excel.xlsx',
+              mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+              base64: excelBase64
+            })
+            functionCalls.push({ name: item.name, arguments: args, output: '' })
+            // Provide function call results to the model
+            functionCallOutputs.push({
+              type: 'function_call_output',
+              call_id: item.call_id,
+              output: ''
+              // output: JSON.stringify({
+              //   file_base64: excelBase64
+              // })
+            })
+          } catch (error) {
+            debug('[Excel] Error executing createExcelFile:', error?.message || error)
+            functionCalls.push({ name: item.name, arguments: null, output: null, error: error?.message || String(error) })
+            // Every function call needs an output, otherwise the conversation cannot be continued
+            functionCallOutputs.push({
+              type: 'function_call_output',
+              call_id: item.call_id,
+              output: JSON.stringify({ error: error?.message || String(error) })
+            })
+          }
+        } else if (this.functionTools.find(t => t.name === item.name)) {
+          const tool = this.functionTools.find(t => t.name === item.name)
+          const functionCall = { name: item.name, arguments: null, output: null }
           try {
-            followUpResponse = await this.callOpenAi(input)
-            // Reference the previous response that contains the function calls
+            functionCall.arguments = typeof item.arguments === 'string' ? JSON.parse(item.arguments || '{}') : item.arguments
+            functionCall.output = await executeFunctionTool(tool, functionCall.arguments, { name: item.name, callId: item.call_id })
           } catch (error) {
-            debug('[Excel] Error in follow-up API call:', error?.message || error)
-            throw error
+            debug(`Error executing function ${item.name}: ${error?.message || error}`)
+            functionCall.error = error?.message || String(error)
+            functionCall.output = { error: functionCall.error }
           }
+          debug(`Function ${item.name} called with ${JSON.stringify(functionCall.arguments)}, output: ${JSON.stringify(maskBase64InObject(functionCall.output))}`)
+          functionCalls.push(functionCall)
+          functionCallOutputs.push({
+            type: 'function_call_output',
+            call_id: item.call_id,
+            output: _.isString(functionCall.output) ? functionCall.output : JSON.stringify(functionCall.output)
+          })
+        } else if (this.findMcpTool(item.name)) {
+          const { server, tool } = this.findMcpTool(item.name)
+          const functionCall = { name: item.name, server: server.name, arguments: null, output: null }
+          try {
+            functionCall.arguments = typeof item.arguments === 'string' ? JSON.parse(item.arguments || '{}') : item.arguments
+            const { output, result } = await callMcpTool(server, tool, functionCall.arguments)
+            functionCall.output = output
+            if (result.isError) functionCall.error = output
+          } catch (error) {
+            debug(`Error calling MCP tool ${item.name} on server ${server.name}: ${error?.message || error}`)
+            functionCall.error = error?.message || String(error)
+            functionCall.output = `Error: ${functionCall.error}`
+          }
+          debug(`MCP tool ${item.name} called with ${JSON.stringify(functionCall.arguments)}, output: ${JSON.stringify(maskBase64InObject(functionCall.output))}`)
+          functionCalls.push(functionCall)
+          functionCallOutputs.push({
+            type: 'function_call_output',
+            call_id: item.call_id,
+            output: functionCall.output
+          })
         } else {
-          debug('[Excel] No function call outputs, skipping follow-up API call')
+          debug(`No handler for function call ${item.name}`)
+          const error = `Function ${item.name} is not available`
+          functionCalls.push({ name: item.name, arguments: null, output: null, error })
+          functionCallOutputs.push({
+            type: 'function_call_output',
+            call_id: item.call_id,
+            output: JSON.stringify({ error })
+          })
         }
       }
-    } catch (error) {
-      debug('[Excel] Error extracting Excel files from response:', error?.message || error)
+
+      // If we have function call outputs, make a follow-up API call
+      if (functionCallOutputs.length === 0) {
+        if (round === 1) debug('[Excel] No function call outputs, skipping follow-up API call')
+        break
+      }
+      if (round > maxRounds) {
+        // The function calls of the last response stay unanswered, so the turn cannot be completed
+        throw createResponseError('function_max_rounds', `Maximum function call rounds (${maxRounds}) reached, the model is still calling functions`)
+      }
+      debug('[Excel] Making follow-up API call', { outputs: functionCallOutputs.length, responseId: currentResponse.id, round })
+
+      // For Responses API with function calls:
+      // - Use previous_response_id to reference the response containing function calls
+      // - Only pass function call outputs in input array, not the full conversation
+      //   (in stateless mode and Chat Completions mode, callOpenAi prepends the local history)
+      // Errors are not caught here, they are classified in UserSays
+      followUpResponse = await this.callOpenAi(functionCallOutputs)
+      currentResponse = followUpResponse
     }
 
     debug('[Excel] extractExcelFilesFromResponse completed')
-    return { followUpResponse, excelAttachments }
+    return { followUpResponse, excelAttachments, functionCalls }
+  }
+
+  /**
+   * Reads the responses to be reported as test failures instead of bot messages (default: empty responses only)
+   * @returns {Array<string>} refusal, incomplete, empty
+   */
+  getFailOn () {
+    const value = this.caps[Capabilities.CHATGPT_FAIL_ON]
+    if (_.isNil(value)) return ['empty']
+    const options = (Array.isArray(value) ? value : String(value).split(',')).map(o => String(o).trim().toLowerCase()).filter(o => o)
+    return options.filter(o => o !== 'none')
+  }
+
+  /**
+   * Splits the assistant text into the texts of multiple bot messages, depending on CHATGPT_MULTI_MESSAGE_MODE
+   * @param {Object} response - Responses API result
+   * @param {string} assistantText - Complete assistant text
+   * @returns {Array<string>} Message texts
+   */
+  splitAssistantText (response, assistantText) {
+    if (this.multiMessageMode === 'output_items') {
+      const texts = (response.output || [])
+        .filter(item => item.type === 'message')
+        .map(item => (item.content || []).filter(c => c.type === 'output_text').map(c => c.text).join(''))
+        .filter(text => text.trim())
+      return texts.length > 0 ? texts : [assistantText]
+    }
+    if (this.multiMessageMode === 'delimiter') {
+      // "\n" written as escape sequence (e.g. in environment variables) is a line break
+      const delimiter = _.isNil(this.caps[Capabilities.CHATGPT_MULTI_MESSAGE_DELIMITER]) ? '\n\n' : String(this.caps[Capabilities.CHATGPT_MULTI_MESSAGE_DELIMITER]).replace(/\\n/g, '\n')
+      const texts = assistantText.split(delimiter).map(text => text.trim()).filter(text => text)
+      return texts.length > 0 ? texts : [assistantText]
+    }
+    return [assistantText]
   }
 
   async Start () {
     debug('Start called')
     this.lastResponseId = null
+    this.history = []
+    this.offeredButtons = []
+    this.lastUsageTokens = null
+    this.conversationUsage = Object.assign(emptyUsage(), { cost: 0 })
+    this.unpricedModel = null
+    this.conversationPromptVariables = {}
+    this.renderInstructions()
+  }
+
+  /**
+   * Renders the system prompt with the prompt variables of the capabilities and of the conversation,
+   * and appends the instructions for Botium JSON responses. The variables of the stored prompt are rendered as well.
+   */
+  renderInstructions () {
+    const variables = Object.assign({}, this.promptVariables, this.conversationPromptVariables)
+    this.instructions = renderPrompt(this.promptTemplate, variables) +
+      (this.respondAsBotiumJson ? BOTIUM_JSON_INSTRUCTIONS : '') +
+      (this.multiMessageMode === 'botium_json' ? BOTIUM_JSON_MESSAGES_INSTRUCTIONS : '')
+    this.promptParam = this.storedPrompt ? toPromptParam(this.storedPrompt, variables) : null
+    this.promptHash = hashPrompt(this.promptParam ? `${JSON.stringify(this.promptParam)}\n${this.instructions}` : this.instructions)
+    debug(`Rendered system prompt, hash ${this.promptHash}`)
   }
 
   async UserSays (msg) {
     debug(`UserSays called with message: ${JSON.stringify(maskBase64InObject(msg))}`)
-    const uploadedFileIds = []
+    // Prompt variables set in BotiumScript (UPDATE_CUSTOM PROMPT_VARIABLES|name|value)
+    if (_.isPlainObject(msg.PROMPT_VARIABLES)) {
+      Object.assign(this.conversationPromptVariables, msg.PROMPT_VARIABLES)
+      this.renderInstructions()
+    }
+    const uploadFile = async (buffer, name, mimeType, purpose, kind) => {
+      try {
+        return await this.fileCache.upload(buffer, name, mimeType, purpose)
+      } catch (e) {
+        debug(`Error uploading ${kind} to OpenAI: ${e?.message || e}`)
+        throw new Error(`Error uploading ${kind} to OpenAI: ${e?.message || e}`)
+      }
+    }
+
+    const pushInlineText = (content, name, textContent) => {
+      content.push({
+        type: 'input_text',
+        text: `File attachment (prepared, no need to download or read out)\nname:\n${name}\nContent:\n${textContent}`
+      })
+      debug(`Inline text attachment content: ${JSON.stringify(maskBase64InObject(content))}`)
+    }
+    const conversionLimits = {
+      maxRows: _.isNil(this.caps[Capabilities.CHATGPT_SPREADSHEET_MAX_ROWS]) ? 500 : Number(this.caps[Capabilities.CHATGPT_SPREADSHEET_MAX_ROWS]),
+      maxChars: _.isNil(this.caps[Capabilities.CHATGPT_ATTACHMENT_MAX_CHARS]) ? 100000 : Number(this.caps[Capabilities.CHATGPT_ATTACHMENT_MAX_CHARS])
+    }
+
     const buildUserContent = async () => {
       const content = []
       if (msg.messageText) {
         content.push({ type: 'input_text', text: msg.messageText })
       }
+      // Clicked buttons and submitted forms (BUTTON and FORM in BotiumScript)
+      if (Array.isArray(msg.buttons) && msg.buttons.length > 0) {
+        for (const text of buttonsToText(msg.buttons, this.offeredButtons, this.caps[Capabilities.CHATGPT_BUTTON_TEMPLATE])) {
+          content.push({ type: 'input_text', text })
+        }
+      }
+      if (Array.isArray(msg.forms) && msg.forms.length > 0) {
+        content.push({ type: 'input_text', text: formsToText(msg.forms, this.caps[Capabilities.CHATGPT_FORM_TEMPLATE]) })
+      }
 
       for (const a of (msg.media || [])) {
         const name = a.mediaUri || a?.altText || a?.name
         const buffer = a?.buffer ? (Buffer.isBuffer(a.buffer) ? a.buffer : Buffer.from(a.buffer)) : null
-        const mimeType = a?.mimeType
+        const mimeType = a?.mimeType || (name && mime.lookup(name)) || null
         if (!buffer) {
           debug(`Skipping attachment without buffer: ${name}`)
           continue
@@ -564,6 +1437,10 @@ class BotiumConnectorChatGPTResponsesAPI {
         const isTextByMime = mimeType?.startsWith('text/') || isStructuredTextMime
         const isTextByName = /\.(txt|md|json|xml|ya?ml|csv)$/i.test(name)
         const isText = isTextByMime || (!mimeType && isTextByName)
+        const isDocument = INPUT_FILE_MIME_TYPES.includes(mimeType)
+        const isSpreadsheet = SPREADSHEET_MIME_TYPES.includes(mimeType)
+        const isOfficeText = OFFICE_TEXT_MIME_TYPES.includes(mimeType) && !!parseBooleanCap(this.caps, Capabilities.CHATGPT_OFFICE_TO_TEXT)
+        const isAudioFile = !isImage && isAudio(mimeType, name)
 
         if (isImage) {
           if (this.fileSendMode === 'base64') {
@@ -575,39 +1452,80 @@ class BotiumConnectorChatGPTResponsesAPI {
             })
           } else {
             debug('Uploading image to OpenAI')
-            let uploaded = null
+            const fileId = await uploadFile(buffer, name, mimeType, 'assistants', 'image')
+            if (fileId) {
+              content.push({
+                type: 'input_image',
+                file_id: fileId
+              })
+            } else {
+              debug(`Upload did not return id for ${name}, skipping`)
+            }
+          }
+        } else if (isAudioFile) {
+          if (this.audioInputMode === 'input_audio') {
+            debug(`Sending audio "${name}" as audio input`)
+            content.push(toInputAudio(buffer, name, mimeType))
+          } else {
+            debug(`Transcribing audio "${name}"`)
+            let transcript
             try {
-              const fileForUpload = await toFile(buffer, name, { type: mimeType || 'application/octet-stream' })
-              uploaded = await this.openai.files.create({
-                file: fileForUpload,
-                purpose: 'assistants'
+              transcript = await transcribeAudio(this.openai, {
+                buffer,
+                name,
+                mimeType,
+                model: this.caps[Capabilities.CHATGPT_TRANSCRIPTION_MODEL] || 'gpt-4o-mini-transcribe',
+                language: this.caps[Capabilities.CHATGPT_TRANSCRIPTION_LANGUAGE] || null,
+                request: (name, fn) => this.requestWithRetry(name, fn)
               })
-              debug(`Upload finished, id=${uploaded?.id || 'n/a'}`)
             } catch (e) {
-              debug(`Error uploading image to OpenAI: ${e?.message || e}`)
-              throw new Error(`Error uploading image to OpenAI: ${e?.message || e}`)
+              throw new Error(`Error transcribing audio "${name}": ${e?.message || e}`)
             }
-
-            if (uploaded?.id) {
-              uploadedFileIds.push(uploaded.id)
+            content.push({ type: 'input_text', text: transcript })
+          }
+        } else if (isSpreadsheet) {
+          debug(`Converting spreadsheet "${name}" to text`)
+          let textContent
+          try {
+            textContent = spreadsheetToText(buffer, mimeType, Object.assign({ format: String(this.caps[Capabilities.CHATGPT_SPREADSHEET_FORMAT] || 'markdown').toLowerCase() }, conversionLimits))
+          } catch (e) {
+            throw new Error(`Attachment "${name}" cannot be read as spreadsheet: ${e.message}`)
+          }
+          pushInlineText(content, name, textContent)
+        } else if (isOfficeText) {
+          debug(`Extracting text of office document "${name}"`)
+          let textContent
+          try {
+            textContent = officeDocumentToText(buffer, mimeType, conversionLimits)
+          } catch (e) {
+            throw new Error(`Text of attachment "${name}" cannot be extracted: ${e.message}`)
+          }
+          pushInlineText(content, name, textContent)
+        } else if (isText) {
+          debug('Sending text inline')
+          pushInlineText(content, name, buffer.toString('utf8'))
+        } else if (isDocument) {
+          if (this.fileSendMode === 'base64') {
+            debug(`Sending document "${name}" as base64`)
+            content.push({
+              type: 'input_file',
+              filename: path.basename(name || 'document'),
+              file_data: `data:${mimeType};base64,${buffer.toString('base64')}`
+            })
+          } else {
+            debug(`Uploading document "${name}" to OpenAI`)
+            const fileId = await uploadFile(buffer, path.basename(name || 'document'), mimeType, 'user_data', 'document')
+            if (fileId) {
               content.push({
-                type: 'input_image',
-                file_id: uploaded.id
+                type: 'input_file',
+                file_id: fileId
               })
             } else {
               debug(`Upload did not return id for ${name}, skipping`)
             }
           }
-        } else if (isText) {
-          debug('Sending text inline')
-          const textContent = buffer.toString('utf8')
-          content.push({
-            type: 'input_text',
-            text: `File attachment (prepared, no need to download or read out)\nname:\n${name}\nContent:\n${textContent}`
-          })
-          debug(`Inline text attachment content: ${JSON.stringify(maskBase64InObject(content))}`)
         } else {
-          debug(`Skipping attachment of file "${name}" type ${mimeType}`)
+          throw new Error(`Attachment "${name}" has unsupported type ${mimeType || '(unknown)'}, supported are images, audio, text files and documents (${INPUT_FILE_MIME_TYPES.map(t => mime.extension(t)).join(', ')})`)
         }
       }
 
@@ -620,17 +1538,33 @@ class BotiumConnectorChatGPTResponsesAPI {
     }
 
     const currentUserContent = await buildUserContent()
+    this.turnMetrics = this.stream ? { startedAt: Date.now(), firstTextAt: null, calls: [] } : null
+    this.turnUsage = Object.assign(emptyUsage(), { cost: 0 })
+    const keepsHistory = this.stateless || this.apiMode === 'chat_completions'
+    if (keepsHistory) this.history.push([])
+    const lastResponseIdBefore = this.lastResponseId
+    this.turnResponses = []
 
     try {
       debug(`Calling OpenAI with currentUserContent: ${JSON.stringify(maskBase64InObject(currentUserContent))}`)
       const response = await this.callOpenAi(currentUserContent)
       // Extract Excel files from response
-      const { followUpResponse, excelAttachments } = await this.extractExcelFilesFromResponse(response)
+      const { followUpResponse, excelAttachments, functionCalls } = await this.extractExcelFilesFromResponse(response)
       debug(`FollowUpResponse: ${JSON.stringify(maskBase64InObject(followUpResponse))}`)
       const responseToUse = followUpResponse || response
 
+      const refusalText = getRefusalText(responseToUse)
+      const incompleteReason = responseToUse.status === 'incomplete' ? (responseToUse.incomplete_details?.reason || 'unknown') : null
+      if (refusalText && this.failOn.includes('refusal')) {
+        throw createResponseError('refusal', `Model refused to answer: ${refusalText}`)
+      }
+      if (incompleteReason && this.failOn.includes('incomplete')) {
+        throw createResponseError(incompleteReason === 'content_filter' ? 'content_filter' : 'incomplete', `Incomplete response (${incompleteReason})`)
+      }
+
       let assistantText = ''
       let botiumJson = null
+      let structuredOutput = null
 
       if (responseToUse.output_text) {
         const outputText = responseToUse.output_text
@@ -653,6 +1587,15 @@ class BotiumConnectorChatGPTResponsesAPI {
             // Not JSON or parse failed, use as-is
             assistantText = outputText
           }
+        } else if (this.outputSchema) {
+          // Schema violations fail the test instead of falling back to the raw text
+          try {
+            structuredOutput = parseStructuredOutput(outputText, this.outputSchema)
+          } catch (err) {
+            if (incompleteReason) err.message = `${err.message} (incomplete response: ${incompleteReason})`
+            throw err
+          }
+          assistantText = outputText
         } else {
           assistantText = outputText
           debug(`Botium format disabled, assistant text extracted: ${assistantText}`)
@@ -661,51 +1604,115 @@ class BotiumConnectorChatGPTResponsesAPI {
         debug('No output_text found in response')
       }
 
-      if (assistantText || botiumJson) {
-        const botMsg = {
-          sender: 'bot',
-          sourceData: maskBase64InObject(responseToUse)
+      // Bot message fields, one entry for each bot message to send
+      let messages = []
+      if (botiumJson) {
+        messages = this.multiMessageMode === 'botium_json'
+          ? (Array.isArray(botiumJson.messages) ? botiumJson.messages : []).map(botiumJsonToBotMsgFields)
+          : [botiumJsonToBotMsgFields(botiumJson)]
+      } else if (structuredOutput) {
+        messages = [this.outputMapping ? mapStructuredOutput(structuredOutput, this.outputMapping) : { messageText: assistantText }]
+      } else if (assistantText) {
+        messages = this.splitAssistantText(responseToUse, assistantText).map(messageText => ({ messageText }))
+      } else if (refusalText) {
+        messages = [{ messageText: refusalText }]
+      }
+      const citations = extractCitations(responseToUse)
+      if (citations.length > 0 && parseBooleanCap(this.caps, Capabilities.CHATGPT_STRIP_CITATION_MARKERS)) {
+        for (const fields of messages) {
+          if (_.isString(fields.messageText)) fields.messageText = stripCitationMarkers(fields.messageText, citations)
         }
-        if (botiumJson) {
-          botMsg.messageText = botiumJson.messageText
-          if (Array.isArray(botiumJson.buttons)) botMsg.buttons = botiumJson.buttons
-          if (Array.isArray(botiumJson.media)) botMsg.media = botiumJson.media
-          if (Array.isArray(botiumJson.attachments)) botMsg.attachments = botiumJson.attachments
-          if (Array.isArray(botiumJson.cards)) botMsg.cards = botiumJson.cards
-          if (!_.isNil(botiumJson.intent)) botMsg.intent = botiumJson.intent
-        } else if (assistantText) {
-          botMsg.messageText = assistantText
+      }
+      if (messages.length === 0) {
+        const outputTypes = _.uniq((responseToUse.output || []).map(item => item.type)).join(', ') || 'none'
+        const details = `${incompleteReason ? `incomplete response (${incompleteReason}), ` : ''}output items: ${outputTypes}`
+        if (this.failOn.includes('empty')) {
+          throw createResponseError('empty_response', `Empty response from model (${details})`)
         }
-        // it has no sense to get attachments from the response? It just makes the prompt longer, and
-        // openai might change the base64 string?
-        if (Array.isArray(excelAttachments)) botMsg.attachments = excelAttachments
+        debug(`Empty response from model (${details}), sending empty bot message`)
+        messages = [{ messageText: '' }]
+      }
 
-        setTimeout(() => this.queueBotSays(botMsg), 0)
-      } else {
-        debug('[Debug] Not queuing message - no content found')
+      const sourceData = maskBase64InObject(responseToUse)
+      const botMsgs = messages.map(fields => Object.assign({ sender: 'bot', sourceData, promptHash: this.promptHash }, fields))
+      // Data of the whole turn is added to the last bot message
+      const botMsg = _.last(botMsgs)
+      if (structuredOutput) botMsg.structuredOutput = structuredOutput
+      if (refusalText) {
+        botMsg.refusal = true
+        botMsg.refusalText = refusalText
+      }
+      if (incompleteReason) botMsg.incomplete = { reason: incompleteReason }
+      const reasoningSummary = getReasoningSummary(this.turnResponses)
+      if (reasoningSummary || this.turnUsage.reasoningTokens > 0) {
+        botMsg.reasoning = { summary: reasoningSummary || null, tokens: this.turnUsage.reasoningTokens }
+      }
+      // The stored prompt version actually used, the latest one if no version is set
+      if (responseToUse.prompt?.id) botMsg.storedPrompt = { id: responseToUse.prompt.id, version: responseToUse.prompt.version || null }
+      if (citations.length > 0) {
+        botMsg.citations = citations
+        const citationsAs = this.caps[Capabilities.CHATGPT_CITATIONS_AS] && String(this.caps[Capabilities.CHATGPT_CITATIONS_AS]).toLowerCase()
+        if (citationsAs) botMsg[citationsAs] = [...(botMsg[citationsAs] || []), ...renderCitations(citations, citationsAs)]
       }
+      // it has no sense to get attachments from the response? It just makes the prompt longer, and
+      // openai might change the base64 string?
+      if (Array.isArray(excelAttachments)) botMsg.attachments = excelAttachments
+      // Images of the image_generation tool and files written by the code_interpreter tool
+      const outputFiles = extractGeneratedImages(this.turnResponses)
+      for (const citation of extractContainerFileCitations(this.turnResponses)) {
+        outputFiles.push(await downloadContainerFile(this.openai, citation, (name, fn) => this.requestWithRetry(name, fn)))
+      }
+      const { media, attachments } = toBotMsgFiles(outputFiles)
+      if (media.length > 0) botMsg.media = [...(botMsg.media || []), ...media]
+      if (attachments.length > 0) botMsg.attachments = [...(botMsg.attachments || []), ...attachments]
+      if (functionCalls.length > 0) botMsg.functionCalls = functionCalls
+      if (this.tts) {
+        // Spoken version of each bot message, next to the text
+        for (const msg of botMsgs.filter(msg => msg.messageText)) {
+          const speech = await synthesizeSpeech(this.openai, Object.assign({ text: msg.messageText, request: (name, fn) => this.requestWithRetry(name, fn) }, this.tts))
+          msg.media = [...(msg.media || []), speech]
+        }
+      }
+      // Buttons the user can click in the next message
+      this.offeredButtons = collectButtons(botMsgs)
+      if (this.turnMetrics) botMsg.metrics = this.getTurnMetrics()
+      botMsg.usage = Object.assign({}, this.turnUsage, { conversation: Object.assign({}, this.conversationUsage) })
+
+      this.checkBudget()
+      setTimeout(() => botMsgs.forEach(msg => this.queueBotSays(msg)), 0)
     } catch (error) {
+      // A failed turn might have left unanswered function calls behind, the next turn continues before it
+      if (keepsHistory) this.history.pop()
+      this.lastResponseId = lastResponseIdBefore
       debug(`error: ${JSON.stringify(maskBase64InObject(error))}`)
       debug('Error sending message to ChatGPT (Responses API):', error?.message || error)
-      throw new Error(`Error from ChatGPT: ${error.message}`)
+      const classification = error.classification || classifyError(error)
+      const attempts = error.attempts > 1 ? ` (failed after ${error.attempts} attempts)` : ''
+      const err = new Error(classification.type === 'unknown'
+        ? `Error from ChatGPT: ${error.message}`
+        : `Error from ChatGPT [${classification.type}]: ${error.message}${attempts}`)
+      err.classification = classification
+      throw err
     } finally {
-      if (uploadedFileIds.length > 0) {
-        try {
-          await Promise.all(uploadedFileIds.map(id => this.openai.files.del(id).catch(e => debug(`File delete failed for ${id}: ${e?.message || e}`))))
-        } catch (e) {
-          debug(`Cleanup error: ${e?.message || e}`)
-        }
-      }
+      if (this.fileLifetime === 'message') await this.fileCache.clear()
     }
   }
 
   async Stop () {
     debug('Stop called')
     this.lastResponseId = null
+    this.history = []
+    this.offeredButtons = []
+    if (this.fileCache && this.fileLifetime === 'conversation') await this.fileCache.clear()
   }
 
   async Clean () {
     debug('Clean called')
+    await closeMcpServers(this.mcpServers)
+    this.mcpServers = []
+    await this.releaseVectorStore()
+    if (this.fileCache) await this.fileCache.clear()
+    this.fileCache = null
     this.openai = null
   }
 }
@@ -0,0 +1,86 @@
+const path = require('path')
+const crypto = require('crypto')
+const { toFile } = require('openai/uploads')
+const debug = require('debug')('botium-connector-chatgpt-filecache')
+
+const FILE_LIFETIMES = ['message', 'conversation', 'run']
+
+/**
+ * Uploaded attachments, keyed by content hash and purpose, so the same file is uploaded only once within its lifetime.
+ * Uploaded file names start with a prefix to find orphaned files of crashed test runs.
+ */
+class FileCache {
+  /**
+   * @param {OpenAI} openai - OpenAI client
+   * @param {Object} options - prefix (file name prefix), request (function for retrying requests)
+   */
+  constructor (openai, { prefix, request }) {
+    this.openai = openai
+    this.prefix = prefix
+    this.request = request
+    this.files = new Map()
+  }
+
+  /**
+   * Uploads a file, or returns the id of the same file uploaded before
+   * @param {Buffer} buffer - File content
+   * @param {string} name - File name
+   * @param {string} mimeType - MIME type
+   * @param {string} purpose - Upload purpose (assistants, user_data)
+   * @returns {Promise<string>} File id
+   */
+  async upload (buffer, name, mimeType, purpose) {
+    const key = `${purpose}:${crypto.createHash('sha256').update(buffer).digest('hex')}`
+    if (this.files.has(key)) {
+      debug(`Reusing uploaded file ${this.files.get(key)} for ${name}`)
+      return this.files.get(key)
+    }
+    const fileForUpload = await toFile(buffer, `${this.prefix}${path.basename(name || 'file')}`, { type: mimeType || 'application/octet-stream' })
+    const uploaded = await this.request('files.create', () => this.openai.files.create({
+      file: fileForUpload,
+      purpose
+    }))
+    debug(`Upload finished, id=${uploaded?.id || 'n/a'}`)
+    if (!uploaded?.id) return null
+    this.files.set(key, uploaded.id)
+    return uploaded.id
+  }
+
+  /**
+   * Deletes all uploaded files
+   */
+  async clear () {
+    const fileIds = Array.from(this.files.values())
+    this.files.clear()
+    await Promise.all(fileIds.map(id => this.openai.files.delete(id)
+      .then(() => debug(`Deleted file ${id}`))
+      .catch(e => debug(`File delete failed for ${id}: ${e?.message || e}`))))
+  }
+
+  /**
+   * Deletes files with the file name prefix left over by crashed test runs
+   * @param {number} minAge - Minimum age in seconds, younger files might belong to test runs in progress
+   * @returns {Promise<number>} Number of deleted files
+   */
+  async cleanupOrphans (minAge) {
+    const createdBefore = Math.floor(Date.now() / 1000) - minAge
+    const orphans = []
+    for await (const file of this.openai.files.list()) {
+      if (file.filename?.startsWith(this.prefix) && file.created_at < createdBefore) orphans.push(file)
+    }
+    for (const file of orphans) {
+      try {
+        await this.request('files.delete', () => this.openai.files.delete(file.id))
+        debug(`Deleted orphaned file ${file.id} (${file.filename})`)
+      } catch (e) {
+        debug(`Deleting orphaned file ${file.id} failed: ${e?.message || e}`)
+      }
+    }
+    return orphans.length
+  }
+}
+
+module.exports = {
+  FILE_LIFETIMES,
+  FileCache
+}
@@ -0,0 +1,96 @@
+const path = require('path')
+const _ = require('lodash')
+const debug = require('debug')('botium-connector-chatgpt-functiontools')
+const { readJsonOrFileCap, renderTemplate } = require('./helpers')
+
+const RESERVED_FUNCTION_NAMES = ['createExcelFile']
+
+/**
+ * Loads and validates the user-defined function tools from the capability
+ * @param {Object} caps - Capabilities
+ * @param {string} capName - Capability name
+ * @returns {Array} Function tool definitions
+ */
+function loadFunctionTools (caps, capName) {
+  const cap = readJsonOrFileCap(caps, capName)
+  if (!cap) return []
+  if (!Array.isArray(cap.value)) throw new Error(`${capName} must be a JSON array of function tool definitions`)
+
+  return cap.value.map((def, index) => {
+    if (!def || !_.isString(def.name) || !/^[a-zA-Z0-9_-]+$/.test(def.name)) {
+      throw new Error(`${capName}: function tool #${index + 1} requires a "name" (letters, digits, underscores and dashes)`)
+    }
+    if (RESERVED_FUNCTION_NAMES.includes(def.name)) {
+      throw new Error(`${capName}: function name "${def.name}" is reserved by the connector`)
+    }
+    if (!_.isNil(def.parameters) && !_.isPlainObject(def.parameters)) {
+      throw new Error(`${capName}: "parameters" of function "${def.name}" must be a JSON schema object`)
+    }
+    if (!_.isNil(def.outputs) && !Array.isArray(def.outputs)) {
+      throw new Error(`${capName}: "outputs" of function "${def.name}" must be an array of { arguments, output } entries`)
+    }
+    if (_.isNil(def.output) && _.isNil(def.outputs) && _.isNil(def.module)) {
+      throw new Error(`${capName}: function "${def.name}" requires "output", "outputs" or "module" for the mocked result`)
+    }
+    const tool = Object.assign({}, def)
+    if (def.module) {
+      const modulePath = path.resolve(cap.baseDir, def.module)
+      try {
+        tool.moduleFn = require(modulePath)
+      } catch (e) {
+        throw new Error(`${capName}: cannot load module "${modulePath}" of function "${def.name}": ${e.message}`)
+      }
+      if (!_.isFunction(tool.moduleFn) && _.isFunction(tool.moduleFn[def.name])) tool.moduleFn = tool.moduleFn[def.name]
+      if (!_.isFunction(tool.moduleFn)) {
+        throw new Error(`${capName}: module "${modulePath}" of function "${def.name}" must export a function`)
+      }
+    }
+    return tool
+  })
+}
+
+/**
+ * Converts a function tool definition to a Responses API function tool
+ * @param {Object} tool - Function tool definition
+ * @returns {Object} Responses API tool
+ */
+function toOpenAiFunctionTool (tool) {
+  const openAiTool = {
+    type: 'function',
+    name: tool.name,
+    parameters: tool.parameters || { type: 'object', properties: {} }
+  }
+  if (tool.description) openAiTool.description = tool.description
+  if (!_.isNil(tool.strict)) openAiTool.strict = tool.strict
+  return openAiTool
+}
+
+/**
+ * Runs the mocked backend of a function tool: the first "outputs" entry with matching arguments,
+ * then the module, then the static "output". String values may contain {{argument}} placeholders.
+ * @param {Object} tool - Function tool definition
+ * @param {Object} args - Function call arguments
+ * @param {Object} context - Call context (name, callId)
+ * @returns {Promise<any>} Function output
+ */
+async function executeFunctionTool (tool, args, context) {
+  const match = (tool.outputs || []).find(entry => _.isMatch(args || {}, entry.arguments || {}))
+  if (match) {
+    debug(`${tool.name}: using output for arguments ${JSON.stringify(match.arguments)}`)
+    return renderTemplate(match.output, args)
+  }
+  if (tool.moduleFn) {
+    debug(`${tool.name}: calling module`)
+    return tool.moduleFn(args, context)
+  }
+  if (!_.isNil(tool.output)) {
+    return renderTemplate(tool.output, args)
+  }
+  throw new Error(`No mocked output for function "${tool.name}" with arguments ${JSON.stringify(args)}`)
+}
+
+module.exports = {
+  loadFunctionTools,
+  toOpenAiFunctionTool,
+  executeFunctionTool
+}
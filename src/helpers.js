@@ -0,0 +1,76 @@
+const fs = require('fs')
+const path = require('path')
+const _ = require('lodash')
+
+/**
+ * Reads a capability given as object, as JSON string (e.g. from environment variables) or as path to a JSON file
+ * @param {Object} caps - Capabilities
+ * @param {string} name - Capability name
+ * @returns {Object} Parsed value and the base directory for relative paths in it, or null if the capability is not set
+ */
+function readJsonOrFileCap (caps, name) {
+  const value = caps[name]
+  if (_.isNil(value) || value === '') return null
+  if (!_.isString(value)) return { value, baseDir: process.cwd() }
+
+  const trimmed = value.trim()
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return { value: JSON.parse(trimmed), baseDir: process.cwd() }
+    } catch (e) {
+      throw new Error(`${name} must be valid JSON: ${e.message}`)
+    }
+  }
+  const filePath = path.resolve(process.cwd(), trimmed)
+  let content
+  try {
+    content = fs.readFileSync(filePath, 'utf8')
+  } catch (e) {
+    throw new Error(`${name}: cannot read file "${filePath}": ${e.message}`)
+  }
+  try {
+    return { value: JSON.parse(content), baseDir: path.dirname(filePath) }
+  } catch (e) {
+    throw new Error(`${name}: file "${filePath}" is not valid JSON: ${e.message}`)
+  }
+}
+
+/**
+ * Reads a boolean capability, accepting "true" and "false" strings (e.g. from environment variables)
+ * @param {Object} caps - Capabilities
+ * @param {string} capName - Capability name
+ * @returns {boolean} Value, or null if the capability is not set
+ */
+function parseBooleanCap (caps, capName) {
+  const value = caps[capName]
+  if (_.isNil(value) || value === '') return null
+  if (_.isBoolean(value)) return value
+  if (String(value).toLowerCase() === 'true') return true
+  if (String(value).toLowerCase() === 'false') return false
+  throw new Error(`${capName} must be true or false, got "${value}"`)
+}
+
+/**
+ * Replaces {{placeholders}} in strings (also nested in objects and arrays) with values, e.g. function call arguments
+ * @param {any} template - Template
+ * @param {Object} args - Placeholder values
+ * @returns {any} Rendered output
+ */
+function renderTemplate (template, args) {
+  if (_.isString(template)) {
+    return template.replace(/{{\s*([\w.[\]]+)\s*}}/g, (match, argPath) => {
+      const value = _.get(args, argPath)
+      if (_.isNil(value)) return ''
+      return _.isObject(value) ? JSON.stringify(value) : String(value)
+    })
+  }
+  if (Array.isArray(template)) return template.map(t => renderTemplate(t, args))
+  if (_.isPlainObject(template)) return _.mapValues(template, t => renderTemplate(t, args))
+  return template
+}
+
+module.exports = {
+  readJsonOrFileCap,
+  parseBooleanCap,
+  renderTemplate
+}
@@ -0,0 +1,149 @@
+const _ = require('lodash')
+const debug = require('debug')('botium-connector-chatgpt-hostedtools')
+
+const KNOWN_TOOL_TYPES = ['file_search', 'web_search', 'web_search_preview', 'web_search_preview_2025_03_11', 'mcp', 'code_interpreter', 'image_generation', 'computer_use_preview', 'local_shell']
+const TOOL_CHOICE_MODES = ['auto', 'none', 'required']
+
+/**
+ * Reads the hosted tools from the capability: a JSON array of tool definitions (or tool type names),
+ * or a comma-separated list of tool types
+ * @param {Object} caps - Capabilities
+ * @param {string} capName - Capability name
+ * @returns {Array} Tool definitions
+ */
+function parseHostedTools (caps, capName) {
+  let value = caps[capName]
+  if (_.isNil(value) || value === '') return []
+  if (_.isString(value)) {
+    const trimmed = value.trim()
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      try {
+        value = JSON.parse(trimmed)
+      } catch (e) {
+        throw new Error(`${capName} must be a comma-separated list of tool types or a valid JSON array: ${e.message}`)
+      }
+    } else {
+      value = trimmed.split(',').map(type => type.trim()).filter(type => type)
+    }
+  }
+  if (_.isPlainObject(value)) value = [value]
+  if (!Array.isArray(value)) throw new Error(`${capName} must be a comma-separated list of tool types or a JSON array of tool definitions`)
+
+  return value.map(tool => {
+    tool = _.isString(tool) ? { type: tool } : Object.assign({}, tool)
+    if (tool.type === 'code_interpreter' && _.isNil(tool.container)) {
+      tool.container = { type: 'auto' }
+    }
+    return tool
+  })
+}
+
+/**
+ * Validates hosted tool definitions, so misconfigurations fail before the first API call
+ * @param {Array} tools - Tool definitions
+ * @param {string} capName - Capability name
+ * @param {Object} options - vectorStoreProvisioned: the connector adds a vector store to the file_search tool
+ */
+function validateHostedTools (tools, capName, { vectorStoreProvisioned = false } = {}) {
+  tools.forEach((tool, index) => {
+    const prefix = `${capName}: tool #${index + 1}${tool?.type ? ` (${tool.type})` : ''}`
+    if (!_.isPlainObject(tool) || !_.isString(tool.type) || !tool.type) {
+      throw new Error(`${prefix} requires a "type"`)
+    }
+    switch (tool.type) {
+      case 'function':
+        throw new Error(`${prefix}: function tools are not executed by the connector, use CHATGPT_FUNCTION_TOOLS instead`)
+      case 'file_search':
+        // A provisioned vector store is added to the file_search tool later
+        if (!(vectorStoreProvisioned && _.isNil(tool.vector_store_ids)) &&
+          (!Array.isArray(tool.vector_store_ids) || tool.vector_store_ids.length === 0 || !tool.vector_store_ids.every(id => _.isString(id) && id))) {
+          throw new Error(`${prefix} requires "vector_store_ids", a non-empty array of vector store ids`)
+        }
+        if (!_.isNil(tool.max_num_results) && !(Number.isInteger(tool.max_num_results) && tool.max_num_results >= 1 && tool.max_num_results <= 50)) {
+          throw new Error(`${prefix}: "max_num_results" must be an integer between 1 and 50`)
+        }
+        break
+      case 'mcp':
+        if (!_.isString(tool.server_label) || !tool.server_label) {
+          throw new Error(`${prefix} requires a "server_label"`)
+        }
+        if (!_.isString(tool.server_url) && !_.isString(tool.connector_id)) {
+          throw new Error(`${prefix} requires a "server_url" or a "connector_id"`)
+        }
+        if (!_.isNil(tool.allowed_tools) && !Array.isArray(tool.allowed_tools) && !_.isPlainObject(tool.allowed_tools)) {
+          throw new Error(`${prefix}: "allowed_tools" must be an array of tool names or a filter object`)
+        }
+        if (!_.isNil(tool.require_approval) && !['always', 'never'].includes(tool.require_approval) && !_.isPlainObject(tool.require_approval)) {
+          throw new Error(`${prefix}: "require_approval" must be "always", "never" or a filter object`)
+        }
+        if (!_.isNil(tool.headers) && !_.isPlainObject(tool.headers)) {
+          throw new Error(`${prefix}: "headers" must be an object`)
+        }
+        break
+      case 'code_interpreter':
+        if (!_.isString(tool.container) && !(_.isPlainObject(tool.container) && tool.container.type === 'auto')) {
+          throw new Error(`${prefix}: "container" must be a container id or { "type": "auto", "file_ids": [...] }`)
+        }
+        if (_.isPlainObject(tool.container) && !_.isNil(tool.container.file_ids) && !Array.isArray(tool.container.file_ids)) {
+          throw new Error(`${prefix}: "container.file_ids" must be an array of file ids`)
+        }
+        break
+      case 'web_search':
+      case 'web_search_preview':
+      case 'web_search_preview_2025_03_11':
+        if (!_.isNil(tool.user_location) && !(_.isPlainObject(tool.user_location) && tool.user_location.type === 'approximate')) {
+          throw new Error(`${prefix}: "user_location" must be an object with type "approximate" (and optional city, country, region, timezone)`)
+        }
+        if (!_.isNil(tool.search_context_size) && !['low', 'medium', 'high'].includes(tool.search_context_size)) {
+          throw new Error(`${prefix}: "search_context_size" must be "low", "medium" or "high"`)
+        }
+        break
+      default:
+        if (!KNOWN_TOOL_TYPES.includes(tool.type)) {
+          debug(`${prefix}: unknown tool type, passing it to OpenAI unchanged`)
+        }
+    }
+  })
+}
+
+/**
+ * Reads the tool choice from the capability: "auto", "none", "required", or a JSON object
+ * (e.g. { "type": "file_search" } or { "type": "function", "name": "lookupOrder" })
+ * @param {Object} caps - Capabilities
+ * @param {string} capName - Capability name
+ * @returns {string|Object} Tool choice, or null if the capability is not set
+ */
+function parseToolChoice (caps, capName) {
+  let value = caps[capName]
+  if (_.isNil(value) || value === '') return null
+  if (_.isString(value)) {
+    const trimmed = value.trim()
+    if (!trimmed.startsWith('{')) {
+      if (!TOOL_CHOICE_MODES.includes(trimmed)) {
+        throw new Error(`${capName} must be one of ${TOOL_CHOICE_MODES.join(', ')} or a JSON object, got "${value}"`)
+      }
+      return trimmed
+    }
+    try {
+      value = JSON.parse(trimmed)
+    } catch (e) {
+      throw new Error(`${capName} must be valid JSON: ${e.message}`)
+    }
+  }
+  if (!_.isPlainObject(value) || !_.isString(value.type)) {
+    throw new Error(`${capName} must be one of ${TOOL_CHOICE_MODES.join(', ')} or a JSON object with a "type"`)
+  }
+  if (value.type === 'function' && !_.isString(value.name)) {
+    throw new Error(`${capName}: function tool choice requires a "name"`)
+  }
+  if (value.type === 'mcp' && !_.isString(value.server_label)) {
+    throw new Error(`${capName}: mcp tool choice requires a "server_label"`)
+  }
+  return value
+}
+
+module.exports = {
+  parseHostedTools,
+  validateHostedTools,
+  parseToolChoice
+}
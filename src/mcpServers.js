@@ -0,0 +1,186 @@
+const _ = require('lodash')
+const debug = require('debug')('botium-connector-chatgpt-mcp')
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js')
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js')
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js')
+const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js')
+
+const { readJsonOrFileCap } = require('./helpers')
+
+const TRANSPORTS = ['stdio', 'http', 'sse']
+// Function names accepted by the OpenAI API
+const FUNCTION_NAME_MAX_LENGTH = 64
+
+/**
+ * Loads and validates the MCP server configurations from the capability
+ * @param {Object} caps - Capabilities
+ * @param {string} capName - Capability name
+ * @returns {Array} MCP server configurations
+ */
+function loadMcpServerConfigs (caps, capName) {
+  const cap = readJsonOrFileCap(caps, capName)
+  if (!cap) return []
+  if (!Array.isArray(cap.value)) throw new Error(`${capName} must be a JSON array of MCP server definitions`)
+
+  return cap.value.map((def, index) => {
+    const config = Object.assign({}, def)
+    config.name = def?.name || `mcp${index + 1}`
+    config.transport = def?.transport || (def?.command ? 'stdio' : 'http')
+    if (!TRANSPORTS.includes(config.transport)) {
+      throw new Error(`${capName}: transport of MCP server "${config.name}" must be one of ${TRANSPORTS.join(', ')}, got "${config.transport}"`)
+    }
+    if (config.transport === 'stdio' && !_.isString(config.command)) {
+      throw new Error(`${capName}: MCP server "${config.name}" requires a "command" for stdio transport`)
+    }
+    if (config.transport !== 'stdio' && !_.isString(config.url)) {
+      throw new Error(`${capName}: MCP server "${config.name}" requires a "url" for ${config.transport} transport`)
+    }
+    if (!_.isNil(config.allowedTools) && !Array.isArray(config.allowedTools)) {
+      throw new Error(`${capName}: "allowedTools" of MCP server "${config.name}" must be an array of tool names`)
+    }
+    if (config.transport === 'stdio' && !config.cwd) {
+      config.cwd = cap.baseDir
+    }
+    return config
+  })
+}
+
+/**
+ * Converts an MCP tool name (with the server prefix) to a valid function name: characters other than letters, digits,
+ * underscores and dashes are replaced by underscores, and the name is truncated to 64 characters
+ * @param {string} name - MCP tool name
+ * @returns {string} Function name
+ */
+function toFunctionName (name) {
+  return name.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, FUNCTION_NAME_MAX_LENGTH)
+}
+
+/**
+ * Connects to an MCP server and lists its tools
+ * @param {Object} config - MCP server configuration
+ * @returns {Promise<Object>} Connected server with client and tools (name, mcpName, description, inputSchema)
+ */
+async function connectMcpServer (config) {
+  let transport
+  if (config.transport === 'stdio') {
+    transport = new StdioClientTransport({
+      command: config.command,
+      args: config.args || [],
+      env: config.env ? Object.assign({}, process.env, config.env) : undefined,
+      cwd: config.cwd,
+      stderr: 'pipe'
+    })
+    if (transport.stderr) {
+      transport.stderr.on('data', data => debug(`[${config.name}] ${String(data).trim()}`))
+    }
+  } else {
+    const TransportClass = config.transport === 'sse' ? SSEClientTransport : StreamableHTTPClientTransport
+    transport = new TransportClass(new URL(config.url), {
+      requestInit: { headers: config.headers || {} }
+    })
+  }
+
+  const client = new Client({ name: 'botium-connector-chatgpt', version: '1.0.0' })
+  // Closing the client closes the transport, and stops the process of stdio servers
+  const closeClient = () => client.close().catch(err => debug(`Closing MCP server "${config.name}" failed: ${err.message}`))
+  try {
+    await client.connect(transport)
+  } catch (err) {
+    await closeClient()
+    throw new Error(`Cannot connect to MCP server "${config.name}": ${err.message}`)
+  }
+
+  const tools = []
+  try {
+    let cursor
+    do {
+      const result = await client.listTools(cursor ? { cursor } : undefined)
+      tools.push(...result.tools)
+      cursor = result.nextCursor
+    } while (cursor)
+  } catch (err) {
+    await closeClient()
+    throw new Error(`Cannot list tools of MCP server "${config.name}": ${err.message}`)
+  }
+
+  const allowedTools = config.allowedTools ? tools.filter(t => config.allowedTools.includes(t.name)) : tools
+  debug(`Connected to MCP server "${config.name}", tools: ${allowedTools.map(t => t.name).join(', ')}`)
+  return {
+    name: config.name,
+    client,
+    tools: allowedTools.map(t => ({
+      name: toFunctionName(`${config.prefix || ''}${t.name}`),
+      mcpName: t.name,
+      description: t.description,
+      inputSchema: t.inputSchema
+    }))
+  }
+}
+
+/**
+ * Converts an MCP tool to a Responses API function tool
+ * @param {Object} tool - MCP tool
+ * @returns {Object} Responses API tool
+ */
+function toOpenAiMcpTool (tool) {
+  const openAiTool = {
+    type: 'function',
+    name: tool.name,
+    parameters: tool.inputSchema ? _.omit(tool.inputSchema, ['$schema']) : { type: 'object', properties: {} },
+    // MCP input schemas are usually not compatible with strict mode
+    strict: false
+  }
+  if (tool.description) openAiTool.description = tool.description
+  return openAiTool
+}
+
+/**
+ * Calls a tool on an MCP server and converts the result to a function call output
+ * @param {Object} server - Connected MCP server
+ * @param {Object} tool - MCP tool
+ * @param {Object} args - Function call arguments
+ * @returns {Promise<Object>} Object with the output for the model and the raw MCP result
+ */
+async function callMcpTool (server, tool, args) {
+  const result = await server.client.callTool({ name: tool.mcpName, arguments: args || {} })
+
+  let output
+  if (!_.isNil(result.structuredContent)) {
+    output = JSON.stringify(result.structuredContent)
+  } else if (!_.isNil(result.toolResult)) {
+    output = _.isString(result.toolResult) ? result.toolResult : JSON.stringify(result.toolResult)
+  } else {
+    output = (result.content || []).map(part => {
+      if (part.type === 'text') return part.text
+      if (part.type === 'resource' && part.resource?.text) return part.resource.text
+      return `[${part.type}${part.mimeType ? ` ${part.mimeType}` : ''}]`
+    }).join('\n')
+  }
+  if (result.isError) {
+    output = `Error: ${output}`
+  }
+  return { output, result }
+}
+
+/**
+ * Closes the connections to the MCP servers
+ * @param {Array} servers - Connected MCP servers
+ */
+async function closeMcpServers (servers) {
+  for (const server of servers) {
+    try {
+      await server.client.close()
+    } catch (err) {
+      debug(`Closing MCP server "${server.name}" failed: ${err.message}`)
+    }
+  }
+}
+
+module.exports = {
+  loadMcpServerConfigs,
+  toFunctionName,
+  connectMcpServer,
+  toOpenAiMcpTool,
+  callMcpTool,
+  closeMcpServers
+}
@@ -0,0 +1,128 @@
+const _ = require('lodash')
+const XLSX = require('xlsx')
+const debug = require('debug')('botium-connector-chatgpt-officedocuments')
+
+const SPREADSHEET_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'text/csv',
+  'application/csv'
+]
+const CSV_MIME_TYPES = ['text/csv', 'application/csv']
+const OFFICE_TEXT_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.presentation'
+]
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" }
+
+const decodeXml = text => text
+  .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&(amp|lt|gt|quot|apos);/g, m => XML_ENTITIES[m])
+
+/**
+ * Truncates a converted attachment to the maximum number of characters
+ * @param {string} text - Text
+ * @param {number} maxChars - Maximum number of characters, 0 for no limit
+ * @returns {string} Text
+ */
+function truncateText (text, maxChars) {
+  if (!maxChars || text.length <= maxChars) return text
+  return `${text.substring(0, maxChars)}\n[... truncated, ${text.length - maxChars} more characters]`
+}
+
+/**
+ * Converts sheet rows to a Markdown table, the first row is the header
+ * @param {Array<Array>} rows - Rows
+ * @returns {string} Markdown table
+ */
+function toMarkdownTable (rows) {
+  const columns = _.max(rows.map(row => row.length)) || 0
+  const cell = value => _.isNil(value) ? '' : String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')
+  const line = row => `| ${_.range(columns).map(i => cell(row[i])).join(' | ')} |`
+  return [line(rows[0]), `|${' --- |'.repeat(columns)}`, ...rows.slice(1).map(line)].join('\n')
+}
+
+/**
+ * Converts a spreadsheet (xlsx, xls, ods, csv) to text, one Markdown table or CSV block per sheet
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - MIME type
+ * @param {Object} options - format (markdown or csv), maxRows (per sheet, 0 for no limit), maxChars (0 for no limit)
+ * @returns {string} Text
+ */
+function spreadsheetToText (buffer, mimeType, { format = 'markdown', maxRows = 0, maxChars = 0 } = {}) {
+  // CSV files are UTF-8, xlsx would read them as Latin-1 without codepage
+  const workbook = CSV_MIME_TYPES.includes(mimeType)
+    ? XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string' })
+    : XLSX.read(buffer, { type: 'buffer' })
+  const sheets = workbook.SheetNames.map(sheetName => {
+    let rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: false, blankrows: false })
+    if (rows.length === 0) return `Sheet "${sheetName}": (empty)`
+    const omitted = maxRows && rows.length > maxRows + 1 ? rows.length - 1 - maxRows : 0
+    // The header row does not count
+    if (omitted) rows = rows.slice(0, maxRows + 1)
+    const table = format === 'csv'
+      ? rows.map(row => row.map(value => /[",\n]/.test(value ?? '') ? `"${String(value).replace(/"/g, '""')}"` : (value ?? '')).join(',')).join('\n')
+      : toMarkdownTable(rows)
+    return `Sheet "${sheetName}":\n${table}${omitted ? `\n[... ${omitted} more rows omitted]` : ''}`
+  })
+  return truncateText(sheets.join('\n\n'), maxChars)
+}
+
+/**
+ * Reads the paragraphs of an XML document: text of the text elements, paragraph by paragraph
+ * @param {string} xml - XML content
+ * @param {string} paragraphTag - Closing tag of paragraphs
+ * @param {RegExp} textRegex - Regular expression matching text elements, first group is the text
+ * @returns {Array<string>} Paragraphs
+ */
+function readXmlParagraphs (xml, paragraphTag, textRegex) {
+  return xml.split(paragraphTag)
+    .map(paragraph => Array.from(paragraph.matchAll(textRegex)).map(m => decodeXml(m[1])).join(''))
+    .filter(text => text.trim())
+}
+
+/**
+ * Extracts the text of office documents (docx, pptx, odt, odp)
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - MIME type
+ * @param {Object} options - maxChars (0 for no limit)
+ * @returns {string} Text
+ */
+function officeDocumentToText (buffer, mimeType, { maxChars = 0 } = {}) {
+  const archive = XLSX.CFB.read(buffer, { type: 'buffer' })
+  const readEntry = entryPath => {
+    const entry = XLSX.CFB.find(archive, `/${entryPath}`)
+    return entry ? Buffer.from(entry.content).toString('utf8') : null
+  }
+  let paragraphs = []
+  if (mimeType === OFFICE_TEXT_MIME_TYPES[0]) {
+    paragraphs = readXmlParagraphs((readEntry('word/document.xml') || '').replace(/<w:tab\/>/g, '<w:t>\t</w:t>'), '</w:p>', /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g)
+  } else if (mimeType === OFFICE_TEXT_MIME_TYPES[1]) {
+    const slides = archive.FullPaths
+      .map(p => p.match(/ppt\/slides\/slide(\d+)\.xml$/))
+      .filter(m => m)
+      .sort((a, b) => Number(a[1]) - Number(b[1]))
+    for (const slide of slides) {
+      paragraphs.push(`Slide ${slide[1]}:`, ...readXmlParagraphs(readEntry(`ppt/slides/slide${slide[1]}.xml`) || '', '</a:p>', /<a:t>([^<]*)<\/a:t>/g))
+    }
+  } else {
+    const content = (readEntry('content.xml') || '').replace(/<text:(p|h)(\s[^>]*)?\/>/g, '')
+    paragraphs = Array.from(content.matchAll(/<text:(?:p|h)(?:\s[^>]*)?>([\s\S]*?)<\/text:(?:p|h)>/g))
+      .map(m => decodeXml(m[1].replace(/<text:tab\/>/g, '\t').replace(/<[^>]+>/g, '')))
+      .filter(text => text.trim())
+  }
+  debug(`Extracted ${paragraphs.length} paragraphs from ${mimeType}`)
+  return truncateText(paragraphs.join('\n'), maxChars)
+}
+
+module.exports = {
+  SPREADSHEET_MIME_TYPES,
+  OFFICE_TEXT_MIME_TYPES,
+  spreadsheetToText,
+  officeDocumentToText
+}
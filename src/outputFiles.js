@@ -0,0 +1,109 @@
+const _ = require('lodash')
+const mime = require('mime-types')
+const debug = require('debug')('botium-connector-chatgpt-outputfiles')
+
+/**
+ * Detects the image format of generated images by their magic bytes
+ * @param {Buffer} buffer - Image data
+ * @returns {string} MIME type (image/png, image/jpeg or image/webp)
+ */
+function getImageMimeType (buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg'
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp'
+  return 'image/png'
+}
+
+/**
+ * Extracts the images of the image_generation tool
+ * @param {Array} responses - Responses API results of the turn
+ * @returns {Array} Files (name, mimeType, buffer, altText)
+ */
+function extractGeneratedImages (responses) {
+  const files = []
+  for (const response of responses) {
+    for (const item of (response?.output || [])) {
+      if (item.type !== 'image_generation_call' || !item.result) continue
+      const buffer = Buffer.from(item.result, 'base64')
+      const mimeType = getImageMimeType(buffer)
+      files.push({
+        name: `${item.id}.${mime.extension(mimeType)}`,
+        mimeType,
+        buffer,
+        altText: item.revised_prompt || null
+      })
+    }
+  }
+  return files
+}
+
+/**
+ * Collects the container file citations (files written by the code_interpreter tool) of all assistant messages
+ * @param {Array} responses - Responses API results of the turn
+ * @returns {Array} Container file citations (container_id, file_id, filename), without duplicates
+ */
+function extractContainerFileCitations (responses) {
+  const citations = []
+  for (const response of responses) {
+    for (const item of (response?.output || [])) {
+      if (item.type !== 'message') continue
+      for (const content of (item.content || [])) {
+        for (const annotation of (content.annotations || [])) {
+          if (annotation.type === 'container_file_citation') citations.push(annotation)
+        }
+      }
+    }
+  }
+  return _.uniqBy(citations, 'file_id')
+}
+
+/**
+ * Downloads a container file
+ * @param {OpenAI} openai - OpenAI client
+ * @param {Object} citation - Container file citation
+ * @param {Function} request - Function for retrying requests
+ * @returns {Promise<Object>} File (name, mimeType, buffer)
+ */
+async function downloadContainerFile (openai, citation, request) {
+  const response = await request('containers.files.content.retrieve', () => openai.containers.files.content.retrieve(citation.file_id, { container_id: citation.container_id }))
+  const buffer = Buffer.from(await response.arrayBuffer())
+  debug(`Downloaded container file ${citation.filename} (${citation.file_id}), ${buffer.length} bytes`)
+  return {
+    name: citation.filename,
+    mimeType: mime.lookup(citation.filename) || 'application/octet-stream',
+    buffer
+  }
+}
+
+/**
+ * Converts files to bot message media (images) and attachments (all other files)
+ * @param {Array} files - Files (name, mimeType, buffer, altText)
+ * @returns {Object} media and attachments
+ */
+function toBotMsgFiles (files) {
+  const media = []
+  const attachments = []
+  for (const file of files) {
+    if (file.mimeType.startsWith('image/')) {
+      media.push({
+        mediaUri: file.name,
+        mimeType: file.mimeType,
+        buffer: file.buffer,
+        altText: file.altText || file.name
+      })
+    } else {
+      attachments.push({
+        name: file.name,
+        mimeType: file.mimeType,
+        base64: file.buffer.toString('base64')
+      })
+    }
+  }
+  return { media, attachments }
+}
+
+module.exports = {
+  extractGeneratedImages,
+  extractContainerFileCitations,
+  downloadContainerFile,
+  toBotMsgFiles
+}
@@ -0,0 +1,125 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const _ = require('lodash')
+const debug = require('debug')('botium-connector-chatgpt-prompt')
+const { readJsonOrFileCap } = require('./helpers')
+
+const PLACEHOLDER_REGEX = /{{\s*([\w.[\]]+)\s*}}/g
+
+/**
+ * Reads the system prompt template from the prompt capability or from the prompt file
+ * @param {Object} caps - Capabilities
+ * @param {string} promptCapName - Capability name of the inline prompt
+ * @param {string} fileCapName - Capability name of the prompt file path
+ * @returns {string} Prompt template, empty if no prompt is set
+ */
+function loadPromptTemplate (caps, promptCapName, fileCapName) {
+  if (caps[promptCapName] && caps[fileCapName]) {
+    throw new Error(`${promptCapName} and ${fileCapName} are mutually exclusive`)
+  }
+  if (!caps[fileCapName]) return caps[promptCapName] || ''
+  const filePath = path.resolve(process.cwd(), String(caps[fileCapName]))
+  try {
+    return fs.readFileSync(filePath, 'utf8')
+  } catch (e) {
+    throw new Error(`${fileCapName}: cannot read file "${filePath}": ${e.message}`)
+  }
+}
+
+/**
+ * Reads the prompt variables from the capability
+ * @param {Object} caps - Capabilities
+ * @param {string} capName - Capability name
+ * @returns {Object} Variables
+ */
+function loadPromptVariables (caps, capName) {
+  const cap = readJsonOrFileCap(caps, capName)
+  if (!cap) return {}
+  if (!_.isPlainObject(cap.value)) throw new Error(`${capName} must be a JSON object of variable names and values`)
+  return cap.value
+}
+
+/**
+ * Renders the prompt template. Built-in variables (date, time, datetime) can be overwritten by the given variables.
+ * Placeholders without value are left as they are, so a misspelled variable is visible in the prompt.
+ * @param {string} template - Prompt template with {{variable}} placeholders
+ * @param {Object} variables - Variables
+ * @returns {string} Rendered prompt
+ */
+function renderPrompt (template, variables) {
+  const now = new Date().toISOString()
+  const allVariables = Object.assign({ date: now.substring(0, 10), time: now.substring(11, 16), datetime: now }, variables)
+  const missing = []
+  const rendered = template.replace(PLACEHOLDER_REGEX, (match, name) => {
+    const value = _.get(allVariables, name)
+    if (_.isNil(value)) {
+      missing.push(name)
+      return match
+    }
+    return _.isObject(value) ? JSON.stringify(value) : String(value)
+  })
+  if (missing.length > 0) debug(`Prompt variables without value, left unchanged: ${_.uniq(missing).join(', ')}`)
+  return rendered
+}
+
+/**
+ * Reads the stored prompt (managed on OpenAI side) from the capabilities
+ * @param {Object} caps - Capabilities
+ * @param {Object} capNames - Capability names of id, version and variables
+ * @returns {Object} id, version (latest version if not set), variables, or null if no stored prompt is set
+ */
+function loadStoredPrompt (caps, { idCapName, versionCapName, variablesCapName }) {
+  if (!caps[idCapName]) {
+    if (caps[versionCapName] || caps[variablesCapName]) throw new Error(`${idCapName} capability required for ${caps[versionCapName] ? versionCapName : variablesCapName}`)
+    return null
+  }
+  const variables = loadPromptVariables(caps, variablesCapName)
+  for (const [name, value] of Object.entries(variables)) {
+    // Variables are strings or content parts (input_text, input_image, input_file)
+    if (!_.isString(value) && !(_.isPlainObject(value) && ['input_text', 'input_image', 'input_file'].includes(value.type))) {
+      throw new Error(`${variablesCapName}: variable "${name}" must be a string or an input_text, input_image or input_file object`)
+    }
+  }
+  return {
+    id: String(caps[idCapName]),
+    version: _.isNil(caps[versionCapName]) || caps[versionCapName] === '' ? null : String(caps[versionCapName]),
+    variables
+  }
+}
+
+/**
+ * Builds the prompt parameter of the Responses API, {{variable}} placeholders in the variable values are rendered
+ * @param {Object} storedPrompt - Stored prompt (id, version, variables)
+ * @param {Object} variables - Prompt variables
+ * @returns {Object} prompt parameter
+ */
+function toPromptParam (storedPrompt, variables) {
+  const prompt = { id: storedPrompt.id }
+  if (storedPrompt.version) prompt.version = storedPrompt.version
+  if (!_.isEmpty(storedPrompt.variables)) {
+    prompt.variables = _.mapValues(storedPrompt.variables, value => {
+      if (_.isString(value)) return renderPrompt(value, variables)
+      if (value.type === 'input_text') return Object.assign({}, value, { text: renderPrompt(value.text || '', variables) })
+      return value
+    })
+  }
+  return prompt
+}
+
+/**
+ * @param {string} text - Prompt
+ * @returns {string} sha256 hash of the prompt (hex)
+ */
+function hashPrompt (text) {
+  return crypto.createHash('sha256').update(text).digest('hex')
+}
+
+module.exports = {
+  loadPromptTemplate,
+  loadPromptVariables,
+  renderPrompt,
+  hashPrompt,
+  loadStoredPrompt,
+  toPromptParam
+}
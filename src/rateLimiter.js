@@ -0,0 +1,130 @@
+const crypto = require('crypto')
+const debug = require('debug')('botium-connector-chatgpt-ratelimiter')
+
+const WINDOW_MS = 60000
+
+/**
+ * Client-side limiter for requests per minute, tokens per minute and concurrent requests.
+ * Requests are granted in FIFO order within a sliding window of one minute.
+ */
+class RateLimiter {
+  constructor (options) {
+    this.entries = []
+    this.active = 0
+    this.queue = []
+    this.timer = null
+    this.setOptions(options)
+  }
+
+  /**
+   * Updates the limits, a limit of 0 or null is disabled
+   * @param {Object} options - Limits (rpm, tpm, maxConcurrent)
+   */
+  setOptions ({ rpm, tpm, maxConcurrent }) {
+    this.rpm = rpm || null
+    this.tpm = tpm || null
+    this.maxConcurrent = maxConcurrent || null
+  }
+
+  /**
+   * Waits until a request with the estimated token count fits into the limits
+   * @param {number} estimatedTokens - Estimated tokens of the request
+   * @returns {Promise<Object>} Slot, to be released with the actual token count after the request
+   */
+  acquire (estimatedTokens) {
+    return new Promise(resolve => {
+      this.queue.push({ estimatedTokens, resolve })
+      this._process()
+    })
+  }
+
+  _waitTime (tokens, now) {
+    if (this.maxConcurrent && this.active >= this.maxConcurrent) {
+      // Continued on release
+      return Infinity
+    }
+    let wait = 0
+    if (this.rpm && this.entries.length >= this.rpm) {
+      wait = Math.max(wait, this.entries[this.entries.length - this.rpm].ts + WINDOW_MS - now)
+    }
+    if (this.tpm) {
+      const tokensInWindow = this.entries.reduce((sum, e) => sum + e.tokens, 0)
+      // A single request above the limit is granted when the window is empty
+      if (tokensInWindow > 0 && tokensInWindow + tokens > this.tpm) {
+        let remaining = tokensInWindow
+        for (const entry of this.entries) {
+          remaining -= entry.tokens
+          if (remaining + tokens <= this.tpm || remaining === 0) {
+            wait = Math.max(wait, entry.ts + WINDOW_MS - now)
+            break
+          }
+        }
+      }
+    }
+    return wait
+  }
+
+  _process () {
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+    while (this.queue.length > 0) {
+      const now = Date.now()
+      this.entries = this.entries.filter(e => now - e.ts < WINDOW_MS)
+
+      const next = this.queue[0]
+      const wait = this._waitTime(next.estimatedTokens, now)
+      if (wait > 0) {
+        if (wait !== Infinity) {
+          debug(`Rate limit reached, ${this.queue.length} request(s) waiting ${wait}ms`)
+          this.timer = setTimeout(() => this._process(), wait)
+        } else {
+          debug(`Concurrency limit reached, ${this.queue.length} request(s) waiting`)
+        }
+        return
+      }
+      this.queue.shift()
+
+      const entry = { ts: now, tokens: next.estimatedTokens }
+      this.entries.push(entry)
+      this.active++
+      let released = false
+      next.resolve({
+        release: (actualTokens) => {
+          if (released) return
+          released = true
+          this.active--
+          if (Number.isFinite(actualTokens)) entry.tokens = actualTokens
+          this._process()
+        }
+      })
+    }
+  }
+}
+
+const rateLimiters = new Map()
+
+/**
+ * Returns the process-wide rate limiter for an API endpoint and key, shared by all connector instances
+ * @param {string} endpoint - API endpoint
+ * @param {string} apiKey - API key
+ * @param {Object} options - Limits (rpm, tpm, maxConcurrent)
+ * @returns {RateLimiter} Rate limiter
+ */
+function getRateLimiter (endpoint, apiKey, options) {
+  const key = crypto.createHash('sha256').update(`${endpoint}|${apiKey}`).digest('hex')
+  let rateLimiter = rateLimiters.get(key)
+  if (rateLimiter) {
+    rateLimiter.setOptions(options)
+  } else {
+    rateLimiter = new RateLimiter(options)
+    rateLimiters.set(key, rateLimiter)
+  }
+  return rateLimiter
+}
+
+module.exports = {
+  RateLimiter,
+  getRateLimiter
+}
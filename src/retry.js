@@ -0,0 +1,138 @@
+const debug = require('debug')('botium-connector-chatgpt-retry')
+const { APIConnectionError, APIConnectionTimeoutError } = require('openai')
+
+/**
+ * Reads a header from a fetch Headers object or a plain object
+ * @param {Headers|Object} headers - Response headers
+ * @param {string} name - Header name (lowercase)
+ * @returns {string|null} Header value
+ */
+function getHeader (headers, name) {
+  if (!headers) return null
+  if (typeof headers.get === 'function') return headers.get(name)
+  return headers[name] || null
+}
+
+/**
+ * Parses OpenAI rate limit reset durations like "1s", "6m0s", "20ms" or "1h2m3.5s"
+ * @param {string} value - Duration string
+ * @returns {number|null} Duration in milliseconds
+ */
+function parseResetDuration (value) {
+  if (!value) return null
+  const matches = [...String(value).matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)]
+  if (matches.length === 0) return null
+  const factors = { h: 3600000, m: 60000, s: 1000, ms: 1 }
+  return Math.ceil(matches.reduce((sum, [, amount, unit]) => sum + Number(amount) * factors[unit], 0))
+}
+
+/**
+ * Calculates the delay before the next retry from the response headers, or with exponential backoff
+ * @param {Error} err - Error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt (starting with 0)
+ * @param {Object} options - Retry options (initialDelay, maxDelay)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay (err, attempt, { initialDelay, maxDelay }) {
+  const headers = err?.headers
+  let delay = null
+
+  const retryAfterMs = Number(getHeader(headers, 'retry-after-ms'))
+  if (retryAfterMs > 0) delay = retryAfterMs
+
+  const retryAfter = getHeader(headers, 'retry-after')
+  if (delay === null && retryAfter) {
+    const seconds = Number(retryAfter)
+    if (!isNaN(seconds)) {
+      delay = seconds * 1000
+    } else {
+      const date = Date.parse(retryAfter)
+      if (!isNaN(date)) delay = Math.max(date - Date.now(), 0)
+    }
+  }
+
+  if (delay === null && err?.status === 429) {
+    const resets = [
+      parseResetDuration(getHeader(headers, 'x-ratelimit-reset-requests')),
+      parseResetDuration(getHeader(headers, 'x-ratelimit-reset-tokens'))
+    ].filter(r => r !== null)
+    if (resets.length > 0) delay = Math.max(...resets)
+  }
+
+  if (delay === null) {
+    // Exponential backoff with up to 25% jitter
+    delay = initialDelay * Math.pow(2, attempt)
+    delay = delay - Math.random() * delay * 0.25
+  }
+  return Math.round(Math.min(delay, maxDelay))
+}
+
+/**
+ * Classifies an OpenAI error
+ * @param {Error} err - Error thrown by the OpenAI client
+ * @returns {Object} Classification with type, retryable flag, status, code and message
+ */
+function classifyError (err) {
+  const status = err?.status
+  const code = err?.code || err?.error?.code || null
+  const message = err?.message || String(err)
+  const result = { type: 'unknown', retryable: false, status: status || null, code, message }
+
+  if (err instanceof APIConnectionTimeoutError) {
+    return Object.assign(result, { type: 'timeout', retryable: true })
+  }
+  if (code === 'cassette_mismatch') {
+    // Replay mode: no recorded response for the request
+    return Object.assign(result, { type: 'cassette_mismatch' })
+  }
+  if (err instanceof APIConnectionError) {
+    return Object.assign(result, { type: 'network', retryable: true })
+  }
+  if (code === 'context_length_exceeded' || /maximum context length|context window|context_length/i.test(message)) {
+    return Object.assign(result, { type: 'context_length' })
+  }
+  if (code === 'content_filter' || code === 'content_policy_violation' || /content (management )?polic|content filter/i.test(message)) {
+    return Object.assign(result, { type: 'content_filter' })
+  }
+  if (status === 429) {
+    if (code === 'insufficient_quota') return Object.assign(result, { type: 'quota' })
+    return Object.assign(result, { type: 'rate_limit', retryable: true })
+  }
+  if (status === 401) return Object.assign(result, { type: 'auth' })
+  if (status === 403) return Object.assign(result, { type: 'permission' })
+  if (status === 404) return Object.assign(result, { type: 'not_found' })
+  if (status === 408 || status === 409) return Object.assign(result, { type: 'server', retryable: true })
+  if (status >= 500) return Object.assign(result, { type: 'server', retryable: true })
+  if (status >= 400) return Object.assign(result, { type: 'bad_request' })
+  return result
+}
+
+/**
+ * Runs an async function and retries it on transient errors (rate limits, server errors, network errors and timeouts)
+ * @param {Function} fn - Async function to run
+ * @param {Object} options - Retry options (name, maxRetries, initialDelay, maxDelay)
+ * @returns {Promise<any>} Result of the function
+ */
+async function withRetry (fn, { name = 'OpenAI request', maxRetries = 2, initialDelay = 1000, maxDelay = 60000 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn()
+    } catch (err) {
+      const classification = classifyError(err)
+      if (!classification.retryable || attempt >= maxRetries) {
+        err.classification = classification
+        err.attempts = attempt + 1
+        throw err
+      }
+      const delay = getRetryDelay(err, attempt, { initialDelay, maxDelay })
+      debug(`${name} failed (${classification.type}, status ${classification.status}), retry ${attempt + 1}/${maxRetries} in ${delay}ms: ${classification.message}`)
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+}
+
+module.exports = {
+  classifyError,
+  getRetryDelay,
+  withRetry
+}
@@ -0,0 +1,110 @@
+const _ = require('lodash')
+const Ajv = require('ajv')
+const addFormats = require('ajv-formats')
+const debug = require('debug')('botium-connector-chatgpt-structuredoutput')
+
+const { readJsonOrFileCap } = require('./helpers')
+
+/**
+ * Reads the user-defined JSON schema for structured output (inline JSON or path to a JSON file) and compiles a validator for it
+ * @param {Object} caps - Capabilities
+ * @param {string} capName - Capability name
+ * @param {boolean} strict - Strict schema adherence on OpenAI side
+ * @returns {Object} Output schema (name, schema, strict, validate), or null if the capability is not set
+ */
+function loadOutputSchema (caps, capName, strict) {
+  const json = readJsonOrFileCap(caps, capName)
+  if (!json) return null
+  const schema = json.value
+  if (!_.isPlainObject(schema) || schema.type !== 'object') {
+    throw new Error(`${capName} must be a JSON schema with "type": "object"`)
+  }
+  let validate
+  try {
+    const ajv = new Ajv({ allErrors: true, strict: false })
+    addFormats(ajv)
+    validate = ajv.compile(schema)
+  } catch (e) {
+    throw new Error(`${capName} is not a valid JSON schema: ${e.message}`)
+  }
+  // Schema names are restricted to letters, digits, underscores and dashes
+  const name = _.isString(schema.title) && schema.title ? schema.title.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 64) : 'structured_output'
+  return { name, schema, strict, validate }
+}
+
+/**
+ * Reads the mapping of bot message fields to paths in the structured output,
+ * e.g. { "messageText": "reply", "buttons": "quickReplies", "nlp.intent": "intent", "sentiment": "analysis.sentiment" }
+ * @param {Object} caps - Capabilities
+ * @param {string} capName - Capability name
+ * @returns {Object} Mapping, or null if the capability is not set
+ */
+function loadOutputMapping (caps, capName) {
+  const json = readJsonOrFileCap(caps, capName)
+  if (!json) return null
+  const mapping = json.value
+  if (!_.isPlainObject(mapping) || !Object.values(mapping).every(p => _.isString(p) && p)) {
+    throw new Error(`${capName} must be a JSON object of bot message fields to paths in the structured output`)
+  }
+  return mapping
+}
+
+/**
+ * Parses the model output and validates it against the output schema
+ * @param {string} outputText - Model output
+ * @param {Object} outputSchema - Output schema
+ * @returns {Object} Parsed output
+ */
+function parseStructuredOutput (outputText, outputSchema) {
+  let parsed
+  try {
+    parsed = JSON.parse(outputText)
+  } catch (e) {
+    throw new Error(`Structured output is not valid JSON (${e.message}): ${_.truncate(outputText, { length: 200 })}`)
+  }
+  if (!outputSchema.validate(parsed)) {
+    const violations = outputSchema.validate.errors.map(e => `${e.instancePath || '/'} ${e.message}`)
+    throw new Error(`Structured output does not match the output schema: ${violations.join(', ')}`)
+  }
+  return parsed
+}
+
+const toButton = b => _.isString(b) ? { text: b, payload: b } : b
+
+/**
+ * Maps structured output to bot message fields. Strings are converted to buttons for "buttons",
+ * and to intent or entity objects for "nlp.intent" and "nlp.entities".
+ * @param {Object} parsed - Parsed structured output
+ * @param {Object} mapping - Bot message fields to paths in the structured output
+ * @returns {Object} Bot message fields
+ */
+function mapStructuredOutput (parsed, mapping) {
+  const fields = {}
+  for (const [field, outputPath] of Object.entries(mapping)) {
+    let value = _.get(parsed, outputPath)
+    if (_.isNil(value)) {
+      debug(`Path "${outputPath}" for bot message field "${field}" not found in structured output`)
+      continue
+    }
+    if (field === 'messageText' && !_.isString(value)) {
+      value = _.isObject(value) ? JSON.stringify(value) : String(value)
+    } else if (field === 'buttons') {
+      value = _.castArray(value).map(toButton)
+    } else if (field === 'cards') {
+      value = _.castArray(value).map(card => card.buttons ? Object.assign({}, card, { buttons: _.castArray(card.buttons).map(toButton) }) : card)
+    } else if (field === 'nlp.intent' && _.isString(value)) {
+      value = { name: value }
+    } else if (field === 'nlp.entities') {
+      value = _.castArray(value).map(e => _.isString(e) ? { name: e, value: e } : e)
+    }
+    _.set(fields, field, value)
+  }
+  return fields
+}
+
+module.exports = {
+  loadOutputSchema,
+  loadOutputMapping,
+  parseStructuredOutput,
+  mapStructuredOutput
+}
@@ -0,0 +1,80 @@
+const _ = require('lodash')
+
+/**
+ * Creates empty token usage totals
+ * @returns {Object} Token usage (inputTokens, cachedTokens, outputTokens, reasoningTokens, totalTokens, requests)
+ */
+function emptyUsage () {
+  return { inputTokens: 0, cachedTokens: 0, outputTokens: 0, reasoningTokens: 0, totalTokens: 0, requests: 0 }
+}
+
+/**
+ * Adds the usage block of a Responses API result to token usage totals
+ * @param {Object} totals - Token usage totals, modified
+ * @param {Object} usage - Responses API usage block
+ * @returns {Object} Token usage totals
+ */
+function addUsage (totals, usage) {
+  totals.requests++
+  if (!usage) return totals
+  totals.inputTokens += usage.input_tokens || 0
+  totals.cachedTokens += usage.input_tokens_details?.cached_tokens || 0
+  totals.outputTokens += usage.output_tokens || 0
+  totals.reasoningTokens += usage.output_tokens_details?.reasoning_tokens || 0
+  totals.totalTokens += usage.total_tokens || ((usage.input_tokens || 0) + (usage.output_tokens || 0))
+  return totals
+}
+
+/**
+ * Validates the price table: model name (or prefix) to prices in USD per 1 million tokens
+ * @param {Object} prices - Price table, e.g. { "gpt-4o": { "input": 2.5, "cachedInput": 1.25, "output": 10 } }
+ * @param {string} capName - Capability name
+ */
+function validatePrices (prices, capName) {
+  if (!_.isPlainObject(prices)) throw new Error(`${capName} must be a JSON object of model names to prices`)
+  for (const [model, price] of Object.entries(prices)) {
+    if (!_.isPlainObject(price) || !_.isNumber(price.input) || !_.isNumber(price.output) || (!_.isNil(price.cachedInput) && !_.isNumber(price.cachedInput))) {
+      throw new Error(`${capName}: prices for "${model}" must be an object with numeric "input", "output" and optional "cachedInput" (USD per 1M tokens)`)
+    }
+  }
+}
+
+/**
+ * Finds the prices for a model, by exact name or by longest matching prefix (e.g. "gpt-4o" for "gpt-4o-2024-08-06")
+ * @param {Object} prices - Price table
+ * @param {Array<string>} models - Model names to look up, first match wins
+ * @returns {Object} Prices, or null if not found
+ */
+function findModelPrice (prices, models) {
+  if (!prices) return null
+  for (const model of models.filter(m => m)) {
+    if (prices[model]) return prices[model]
+    const prefix = _.maxBy(Object.keys(prices).filter(p => model.startsWith(p)), p => p.length)
+    if (prefix) return prices[prefix]
+  }
+  return null
+}
+
+/**
+ * Calculates the cost of token usage. Cached input tokens are part of the input tokens,
+ * reasoning tokens are part of the output tokens.
+ * @param {Object} usage - Token usage totals
+ * @param {Object} price - Prices in USD per 1 million tokens
+ * @returns {number} Cost in USD, or null if there are no prices
+ */
+function calculateCost (usage, price) {
+  if (!price) return null
+  const cachedInputPrice = _.isNil(price.cachedInput) ? price.input : price.cachedInput
+  const cost = ((usage.inputTokens - usage.cachedTokens) * price.input +
+    usage.cachedTokens * cachedInputPrice +
+    usage.outputTokens * price.output) / 1000000
+  return _.round(cost, 6)
+}
+
+module.exports = {
+  emptyUsage,
+  addUsage,
+  validatePrices,
+  findModelPrice,
+  calculateCost
+}
@@ -0,0 +1,66 @@
+const _ = require('lodash')
+const { renderTemplate } = require('./helpers')
+
+const DEFAULT_BUTTON_TEMPLATE = 'User clicked the button "{{text}}" (payload: {{payload}})'
+const DEFAULT_FORM_TEMPLATE = 'User submitted the form:\n{{values}}'
+
+const payloadKey = payload => _.isObject(payload) ? JSON.stringify(payload) : String(payload)
+
+/**
+ * Collects the buttons of bot messages, including the buttons of cards
+ * @param {Array} botMsgs - Bot messages
+ * @returns {Array} Buttons (text, payload)
+ */
+function collectButtons (botMsgs) {
+  const buttons = []
+  for (const botMsg of botMsgs) {
+    buttons.push(...(botMsg.buttons || []))
+    for (const card of (botMsg.cards || [])) buttons.push(...(card.buttons || []))
+  }
+  return buttons.filter(b => b && (!_.isNil(b.payload) || b.text))
+}
+
+/**
+ * Renders clicked buttons as user input. A button without text gets the text of the offered button
+ * with the same payload, a button without payload gets the payload of the offered button with the same text.
+ * @param {Array} buttons - Clicked buttons of the user message (text, payload)
+ * @param {Array} offeredButtons - Buttons of the previous bot messages
+ * @param {string} template - Template with {{text}} and {{payload}} placeholders
+ * @returns {Array<string>} Text for each button
+ */
+function buttonsToText (buttons, offeredButtons, template) {
+  return buttons.map(button => {
+    let { text, payload } = button
+    const offered = !_.isNil(payload)
+      ? offeredButtons.find(b => !_.isNil(b.payload) && payloadKey(b.payload) === payloadKey(payload))
+      : offeredButtons.find(b => b.text === text)
+    if (offered) {
+      text = text || offered.text
+      payload = _.isNil(payload) ? offered.payload : payload
+    }
+    return renderTemplate(template || DEFAULT_BUTTON_TEMPLATE, {
+      text: text || payloadKey(payload),
+      payload: _.isNil(payload) ? text : payload
+    })
+  })
+}
+
+/**
+ * Renders submitted form values as user input
+ * @param {Array} forms - Form values of the user message (name, value)
+ * @param {string} template - Template with {{values}} (one "name: value" line per field) and {{json}} (JSON object) placeholders
+ * @returns {string} Text
+ */
+function formsToText (forms, template) {
+  const values = _.fromPairs(forms.map(f => [f.name, f.value]))
+  return renderTemplate(template || DEFAULT_FORM_TEMPLATE, {
+    values: forms.map(f => `${f.name}: ${_.isObject(f.value) ? JSON.stringify(f.value) : f.value}`).join('\n'),
+    json: JSON.stringify(values)
+  })
+}
+
+module.exports = {
+  collectButtons,
+  buttonsToText,
+  formsToText
+}
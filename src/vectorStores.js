@@ -0,0 +1,165 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const _ = require('lodash')
+const { toFile } = require('openai/uploads')
+const debug = require('debug')('botium-connector-chatgpt-vectorstores')
+
+const CONTENT_HASH_METADATA_KEY = 'botium_content_hash'
+
+/**
+ * Collects the document files from the capability: a file or folder path, a comma-separated list or a JSON array of paths.
+ * Folders are read recursively, hidden files are skipped.
+ * @param {Object} caps - Capabilities
+ * @param {string} capName - Capability name
+ * @returns {Array} Files (name, filePath), sorted by name
+ */
+function collectDocumentFiles (caps, capName) {
+  let value = caps[capName]
+  if (_.isNil(value) || value === '') return []
+  if (_.isString(value)) {
+    const trimmed = value.trim()
+    if (trimmed.startsWith('[')) {
+      try {
+        value = JSON.parse(trimmed)
+      } catch (e) {
+        throw new Error(`${capName} must be a path, a comma-separated list of paths or a valid JSON array: ${e.message}`)
+      }
+    } else {
+      value = trimmed.split(',').map(p => p.trim()).filter(p => p)
+    }
+  }
+  if (!Array.isArray(value)) throw new Error(`${capName} must be a path, a comma-separated list of paths or a JSON array of paths`)
+
+  const files = []
+  const addPath = (filePath, name) => {
+    const stat = fs.statSync(filePath)
+    if (stat.isDirectory()) {
+      for (const entry of fs.readdirSync(filePath)) {
+        if (entry.startsWith('.')) continue
+        addPath(path.join(filePath, entry), path.posix.join(name, entry))
+      }
+    } else if (stat.isFile()) {
+      files.push({ name, filePath })
+    }
+  }
+  for (const p of value) {
+    const filePath = path.resolve(process.cwd(), p)
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`${capName}: path "${filePath}" not found`)
+    }
+    const stat = fs.statSync(filePath)
+    addPath(filePath, stat.isDirectory() ? '' : path.basename(filePath))
+  }
+  if (files.length === 0) {
+    throw new Error(`${capName}: no files found`)
+  }
+  return _.sortBy(_.uniqBy(files, 'filePath'), 'name')
+}
+
+/**
+ * Calculates a hash over the names and contents of the files, used for reusing vector stores
+ * @param {Array} files - Files (name, filePath)
+ * @returns {string} SHA-256 hash
+ */
+function computeContentHash (files) {
+  const hash = crypto.createHash('sha256')
+  for (const file of files) {
+    hash.update(file.name)
+    hash.update(crypto.createHash('sha256').update(fs.readFileSync(file.filePath)).digest('hex'))
+  }
+  return hash.digest('hex')
+}
+
+/**
+ * Finds a completely indexed vector store created for the same content
+ * @param {OpenAI} openai - OpenAI client
+ * @param {string} contentHash - Content hash
+ * @returns {Promise<Object>} Vector store, or null if not found
+ */
+async function findVectorStoreByContentHash (openai, contentHash) {
+  for await (const vectorStore of openai.vectorStores.list({ limit: 100 })) {
+    if (vectorStore.metadata?.[CONTENT_HASH_METADATA_KEY] === contentHash &&
+      vectorStore.status === 'completed' &&
+      !vectorStore.file_counts?.failed &&
+      !vectorStore.file_counts?.cancelled) {
+      return vectorStore
+    }
+  }
+  return null
+}
+
+/**
+ * Uploads the files, creates a vector store and waits until the files are indexed
+ * @param {OpenAI} openai - OpenAI client
+ * @param {Object} options - files, name, contentHash, reuse, prefix (file name prefix), timeout (ms), request (function for retrying requests)
+ * @returns {Promise<Object>} Provisioned vector store (vectorStoreId, fileIds, reused)
+ */
+async function provisionVectorStore (openai, { files, name, contentHash, reuse, prefix = '', timeout, request }) {
+  if (reuse) {
+    const existing = await request('vectorStores.list', () => findVectorStoreByContentHash(openai, contentHash))
+    if (existing) {
+      debug(`Reusing vector store ${existing.id} for content hash ${contentHash}`)
+      return { vectorStoreId: existing.id, fileIds: [], reused: true }
+    }
+  }
+
+  const provisioned = { vectorStoreId: null, fileIds: [], reused: false }
+  try {
+    for (const file of files) {
+      const fileForUpload = await toFile(fs.readFileSync(file.filePath), `${prefix}${path.basename(file.name)}`)
+      const uploaded = await request('files.create', () => openai.files.create({ file: fileForUpload, purpose: 'assistants' }))
+      debug(`Uploaded ${file.name}, id=${uploaded.id}`)
+      provisioned.fileIds.push(uploaded.id)
+    }
+
+    const vectorStore = await request('vectorStores.create', () => openai.vectorStores.create({
+      name: name || `botium-${contentHash.substring(0, 12)}`,
+      metadata: { [CONTENT_HASH_METADATA_KEY]: contentHash }
+    }))
+    provisioned.vectorStoreId = vectorStore.id
+    debug(`Created vector store ${vectorStore.id}`)
+
+    let batch = await request('vectorStores.fileBatches.create', () => openai.vectorStores.fileBatches.create(vectorStore.id, { file_ids: provisioned.fileIds }))
+    const startedAt = Date.now()
+    while (batch.status === 'in_progress') {
+      if (Date.now() - startedAt > timeout) {
+        throw new Error(`Indexing files in vector store ${vectorStore.id} did not finish within ${timeout}ms`)
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000))
+      batch = await request('vectorStores.fileBatches.retrieve', () => openai.vectorStores.fileBatches.retrieve(batch.id, { vector_store_id: vectorStore.id }))
+    }
+    if (batch.status !== 'completed' || batch.file_counts?.failed > 0) {
+      throw new Error(`Indexing files in vector store ${vectorStore.id} failed (status ${batch.status}, ${batch.file_counts?.failed || 0} of ${batch.file_counts?.total} files failed)`)
+    }
+    debug(`Indexed ${batch.file_counts?.completed} files in vector store ${vectorStore.id}`)
+    return provisioned
+  } catch (err) {
+    await deleteVectorStore(openai, provisioned)
+    throw err
+  }
+}
+
+/**
+ * Deletes a provisioned vector store and its uploaded files
+ * @param {OpenAI} openai - OpenAI client
+ * @param {Object} provisioned - Provisioned vector store (vectorStoreId, fileIds)
+ */
+async function deleteVectorStore (openai, { vectorStoreId, fileIds }) {
+  if (vectorStoreId) {
+    try {
+      await openai.vectorStores.delete(vectorStoreId)
+      debug(`Deleted vector store ${vectorStoreId}`)
+    } catch (err) {
+      debug(`Deleting vector store ${vectorStoreId} failed: ${err.message}`)
+    }
+  }
+  await Promise.all((fileIds || []).map(id => openai.files.delete(id).catch(err => debug(`Deleting file ${id} failed: ${err.message}`))))
+}
+
+module.exports = {
+  collectDocumentFiles,
+  computeContentHash,
+  provisionVectorStore,
+  deleteVectorStore
+}
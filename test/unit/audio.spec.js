@@ -0,0 +1,44 @@
+const assert = require('chai').assert
+const { isAudio, transcribeAudio, toInputAudio, synthesizeSpeech } = require('../../src/audio')
+
+const request = (name, fn) => fn()
+
+describe('audio', function () {
+  describe('isAudio', function () {
+    it('should detect audio by MIME type or file name', function () {
+      assert.isTrue(isAudio('audio/ogg', 'voice'))
+      assert.isTrue(isAudio(null, 'question.M4A'))
+      assert.isFalse(isAudio('application/pdf', 'manual.pdf'))
+    })
+  })
+
+  describe('transcribeAudio', function () {
+    it('should send the audio file with model and language', async function () {
+      const calls = []
+      const openai = { audio: { transcriptions: { create: async (params) => { calls.push(params); return { text: 'Where is my order?' } } } } }
+      const transcript = await transcribeAudio(openai, { buffer: Buffer.from('RIFF'), name: 'audio/question.wav', mimeType: 'audio/wav', model: 'whisper-1', language: 'en', request })
+
+      assert.equal(transcript, 'Where is my order?')
+      assert.equal(calls[0].file.name, 'question.wav')
+      assert.include(calls[0], { model: 'whisper-1', language: 'en' })
+    })
+  })
+
+  describe('toInputAudio', function () {
+    it('should accept wav and mp3 only', function () {
+      assert.deepEqual(toInputAudio(Buffer.from('ID3'), 'question.mp3', 'audio/mpeg'), { type: 'input_audio', input_audio: { data: Buffer.from('ID3').toString('base64'), format: 'mp3' } })
+      assert.throws(() => toInputAudio(Buffer.from('OggS'), 'question.ogg', 'audio/ogg'), 'Audio attachment "question.ogg" has type audio/ogg, only wav and mp3 are supported as audio input')
+    })
+  })
+
+  describe('synthesizeSpeech', function () {
+    it('should request speech and return it as media', async function () {
+      const calls = []
+      const openai = { audio: { speech: { create: async (params) => { calls.push(params); return new Response('OggS') } } } }
+      const media = await synthesizeSpeech(openai, { text: 'Hello', model: 'gpt-4o-mini-tts', voice: 'nova', format: 'opus', instructions: 'Speak slowly', request })
+
+      assert.deepEqual(calls, [{ model: 'gpt-4o-mini-tts', voice: 'nova', input: 'Hello', response_format: 'opus', instructions: 'Speak slowly' }])
+      assert.deepEqual(media, { mediaUri: 'speech.opus', mimeType: 'audio/ogg', buffer: Buffer.from('OggS'), altText: 'Hello' })
+    })
+  })
+})
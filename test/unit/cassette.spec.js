@@ -0,0 +1,70 @@
+const assert = require('chai').assert
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { redactObject, redactResponseBody, getCassette, createCassetteFetch } = require('../../src/cassette')
+
+const LARGE_BASE64 = 'A'.repeat(2000)
+
+describe('cassette', function () {
+  describe('redaction', function () {
+    it('should redact credential fields and header values', function () {
+      const redacted = redactObject({
+        tools: [{ type: 'mcp', server_url: 'https://mcp.example.com', headers: { 'X-Custom': 'abc' }, authorization: 'Bearer xyz' }],
+        input: 'api_key stays as text'
+      })
+      assert.deepEqual(redacted, {
+        tools: [{ type: 'mcp', server_url: 'https://mcp.example.com', headers: { 'X-Custom': '[redacted]' }, authorization: '[redacted]' }],
+        input: 'api_key stays as text'
+      })
+    })
+
+    it('should mask large base64 payloads', function () {
+      const redacted = redactObject({ output: [{ type: 'image_generation_call', result: LARGE_BASE64 }], text: 'short' })
+      assert.equal(redacted.output[0].result, '[base64_data_masked:2000_chars]')
+      assert.equal(redacted.text, 'short')
+    })
+
+    it('should redact secrets in JSON and streamed response bodies', function () {
+      const secret = 'azure-key-0123456789'
+      assert.equal(redactResponseBody(JSON.stringify({ error: { message: `Invalid key ${secret}` } }), [secret]), '{"error":{"message":"Invalid key [redacted]"}}')
+      const stream = `event: response.completed\ndata: ${JSON.stringify({ response: { output: [{ result: LARGE_BASE64 }] } })}\n\n`
+      assert.equal(redactResponseBody(stream, []), 'event: response.completed\ndata: {"response":{"output":[{"result":"[base64_data_masked:2000_chars]"}]}}\n\n')
+    })
+  })
+
+  describe('record and replay', function () {
+    beforeEach(function () {
+      this.cassetteFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-')), 'cassette.json')
+      this.originalFetch = global.fetch
+    })
+
+    afterEach(function () {
+      global.fetch = this.originalFetch
+      fs.rmSync(path.dirname(this.cassetteFile), { recursive: true, force: true })
+    })
+
+    it('should replay recorded responses without secrets', async function () {
+      const secret = 'sk-test0123456789abcdef'
+      global.fetch = async () => new Response(JSON.stringify({ id: 'resp_1', echo: secret }), { status: 200, headers: { 'content-type': 'application/json' } })
+      const recordCassette = getCassette(this.cassetteFile, 'record', body => body)
+      const recordFetch = createCassetteFetch(recordCassette)
+      const init = { method: 'POST', body: JSON.stringify({ model: 'gpt-4o-mini', tools: [{ type: 'mcp', headers: { Authorization: 'Bearer secret-token' } }] }) }
+      await (await recordFetch('https://api.openai.com/v1/responses', init)).json()
+      // Recording is asynchronous, so it does not delay streamed responses
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      const content = fs.readFileSync(this.cassetteFile, 'utf8')
+      assert.notInclude(content, secret)
+      assert.notInclude(content, 'secret-token')
+
+      global.fetch = async () => { throw new Error('no network on replay') }
+      const replayFetch = createCassetteFetch(getCassette(this.cassetteFile, 'replay', body => body))
+      const replayed = await (await replayFetch('https://api.openai.com/v1/responses', init)).json()
+      assert.equal(replayed.id, 'resp_1')
+      const mismatch = await replayFetch('https://api.openai.com/v1/responses', init)
+      assert.equal(mismatch.status, 400)
+      assert.equal((await mismatch.json()).error.code, 'cassette_mismatch')
+    })
+  })
+})
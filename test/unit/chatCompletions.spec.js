@@ -0,0 +1,114 @@
+const assert = require('chai').assert
+const { toChatCompletionParams, fromChatCompletion, toAssistantHistoryMessage } = require('../../src/chatCompletions')
+
+describe('chatCompletions', function () {
+  describe('toChatCompletionParams', function () {
+    it('should convert instructions, history and input to messages', function () {
+      const history = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]
+      const { chatParams, newMessages } = toChatCompletionParams({
+        model: 'llama3',
+        instructions: 'Be brief',
+        input: [{ role: 'user', content: [{ type: 'input_text', text: 'What time is it?' }] }],
+        max_output_tokens: 100,
+        reasoning: { effort: 'low' }
+      }, history)
+      assert.deepEqual(newMessages, [{ role: 'user', content: 'What time is it?' }])
+      assert.deepEqual(chatParams, {
+        model: 'llama3',
+        messages: [{ role: 'system', content: 'Be brief' }, ...history, ...newMessages],
+        max_tokens: 100,
+        reasoning_effort: 'low'
+      })
+    })
+
+    it('should convert images', function () {
+      const { newMessages } = toChatCompletionParams({
+        input: [{
+          role: 'user',
+          content: [
+            { type: 'input_text', text: 'Describe' },
+            { type: 'input_image', image_url: 'data:image/png;base64,AAAA' }
+          ]
+        }]
+      }, [])
+      assert.deepEqual(newMessages[0].content, [
+        { type: 'text', text: 'Describe' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+      ])
+    })
+
+    it('should reject uploaded files', function () {
+      assert.throws(() => toChatCompletionParams({ input: [{ role: 'user', content: [{ type: 'input_image', file_id: 'file-1' }] }] }, []), /images only as base64 data URLs/)
+      assert.throws(() => toChatCompletionParams({ input: [{ role: 'user', content: [{ type: 'input_file', file_id: 'file-1' }] }] }, []), /documents only as base64 data/)
+    })
+
+    it('should convert documents', function () {
+      const { newMessages } = toChatCompletionParams({
+        input: [{ role: 'user', content: [{ type: 'input_file', filename: 'manual.pdf', file_data: 'data:application/pdf;base64,JVBE' }] }]
+      }, [])
+      assert.deepEqual(newMessages[0].content, [{ type: 'file', file: { filename: 'manual.pdf', file_data: 'data:application/pdf;base64,JVBE' } }])
+    })
+
+    it('should convert audio input', function () {
+      const { newMessages } = toChatCompletionParams({
+        input: [{ role: 'user', content: [{ type: 'input_audio', input_audio: { data: 'UklGRg==', format: 'wav' } }] }]
+      }, [])
+      assert.deepEqual(newMessages[0].content, [{ type: 'input_audio', input_audio: { data: 'UklGRg==', format: 'wav' } }])
+    })
+
+    it('should convert function tools, calls and outputs', function () {
+      const { chatParams } = toChatCompletionParams({
+        input: [
+          { type: 'function_call', call_id: 'c1', name: 'lookup', arguments: '{}' },
+          { type: 'function_call_output', call_id: 'c1', output: '42' }
+        ],
+        tools: [{ type: 'function', name: 'lookup', parameters: { type: 'object' } }],
+        tool_choice: { type: 'function', name: 'lookup' },
+        text: { format: { type: 'json_schema', name: 'answer', schema: { type: 'object' }, strict: true } }
+      }, [])
+      assert.deepEqual(chatParams.messages, [
+        { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'lookup', arguments: '{}' } }] },
+        { role: 'tool', tool_call_id: 'c1', content: '42' }
+      ])
+      assert.deepEqual(chatParams.tools, [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }])
+      assert.deepEqual(chatParams.tool_choice, { type: 'function', function: { name: 'lookup' } })
+      assert.deepEqual(chatParams.response_format, { type: 'json_schema', json_schema: { name: 'answer', schema: { type: 'object' }, strict: true } })
+    })
+
+    it('should reject hosted tools', function () {
+      assert.throws(() => toChatCompletionParams({ input: [], tools: [{ type: 'web_search' }] }, []), /Tool type "web_search" is not supported/)
+    })
+  })
+
+  describe('fromChatCompletion', function () {
+    it('should map text, tool calls and usage', function () {
+      const completion = {
+        id: 'chatcmpl-1',
+        model: 'llama3',
+        choices: [{
+          finish_reason: 'tool_calls',
+          message: { role: 'assistant', content: 'Checking', tool_calls: [{ id: 'c1', type: 'function', function: { name: 'lookup', arguments: '{"q":1}' } }] }
+        }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, prompt_tokens_details: { cached_tokens: 2 } }
+      }
+      const response = fromChatCompletion(completion)
+      assert.equal(response.status, 'completed')
+      assert.equal(response.output_text, 'Checking')
+      assert.deepEqual(response.output[1], { type: 'function_call', call_id: 'c1', name: 'lookup', arguments: '{"q":1}' })
+      assert.deepEqual(response.usage, {
+        input_tokens: 10,
+        input_tokens_details: { cached_tokens: 2 },
+        output_tokens: 5,
+        output_tokens_details: { reasoning_tokens: 0 },
+        total_tokens: 15
+      })
+      assert.deepEqual(toAssistantHistoryMessage(completion), { role: 'assistant', content: 'Checking', tool_calls: completion.choices[0].message.tool_calls })
+    })
+
+    it('should map the finish reason to incomplete responses', function () {
+      const response = fromChatCompletion({ id: 'chatcmpl-2', choices: [{ finish_reason: 'length', message: { content: 'Trunc' } }] })
+      assert.equal(response.status, 'incomplete')
+      assert.deepEqual(response.incomplete_details, { reason: 'max_output_tokens' })
+    })
+  })
+})
@@ -0,0 +1,59 @@
+const assert = require('chai').assert
+const { extractCitations, stripCitationMarkers, renderCitations } = require('../../src/citations')
+
+const TEXT = 'Botium is a testing framework ([botium.ai](https://www.botium.ai)). It supports ChatGPT【4:0†source】.'
+
+const RESPONSE = {
+  output: [
+    { type: 'web_search_call', id: 'ws_1' },
+    {
+      type: 'message',
+      content: [{
+        type: 'output_text',
+        text: TEXT,
+        annotations: [
+          { type: 'url_citation', url: 'https://www.botium.ai', title: 'Botium', start_index: 30, end_index: 66 },
+          { type: 'file_citation', file_id: 'file-1', filename: 'manual.pdf', index: 84 }
+        ]
+      }]
+    }
+  ]
+}
+
+describe('citations', function () {
+  describe('extractCitations', function () {
+    it('should collect url and file citations', function () {
+      assert.deepEqual(extractCitations(RESPONSE), [
+        { type: 'url_citation', url: 'https://www.botium.ai', title: 'Botium', text: '([botium.ai](https://www.botium.ai))', startIndex: 30, endIndex: 66 },
+        { type: 'file_citation', fileId: 'file-1', filename: 'manual.pdf', index: 84 }
+      ])
+    })
+
+    it('should accept responses without output', function () {
+      assert.deepEqual(extractCitations({}), [])
+    })
+  })
+
+  describe('stripCitationMarkers', function () {
+    it('should remove web search spans and file search markers', function () {
+      assert.equal(stripCitationMarkers(TEXT, extractCitations(RESPONSE)), 'Botium is a testing framework. It supports ChatGPT.')
+    })
+  })
+
+  describe('renderCitations', function () {
+    it('should render one card per source', function () {
+      const citations = extractCitations(RESPONSE)
+      assert.deepEqual(renderCitations([...citations, citations[0]], 'cards'), [
+        { title: 'Botium', subtitle: 'https://www.botium.ai', buttons: [{ text: 'Botium', payload: 'https://www.botium.ai' }] },
+        { title: 'manual.pdf', subtitle: 'file-1' }
+      ])
+    })
+
+    it('should render buttons', function () {
+      assert.deepEqual(renderCitations(extractCitations(RESPONSE), 'buttons'), [
+        { text: 'Botium', payload: 'https://www.botium.ai' },
+        { text: 'manual.pdf', payload: 'file-1' }
+      ])
+    })
+  })
+})
@@ -0,0 +1,756 @@
+const assert = require('chai').assert
+const http = require('http')
+const path = require('path')
+const Connector = require('../../src/connectorResponsesApi')
+
+const USAGE = { input_tokens: 10, output_tokens: 5, total_tokens: 15 }
+
+const textResponse = (id, text) => ({
+  id,
+  object: 'response',
+  model: 'gpt-unit',
+  status: 'completed',
+  output: [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text, annotations: [] }] }],
+  usage: USAGE
+})
+
+const functionCallResponse = (id, name, callId) => ({
+  id,
+  object: 'response',
+  model: 'gpt-unit',
+  status: 'completed',
+  output: [{ type: 'function_call', id: `fc_${callId}`, name, call_id: callId, arguments: '{"city":"Vienna"}' }],
+  usage: USAGE
+})
+
+// Streamed response: the text deltas followed by the completed response
+const streamEvents = (id, deltas) => [
+  ...deltas.map(delta => ({ type: 'response.output_text.delta', delta })),
+  { type: 'response.completed', response: textResponse(id, deltas.join('')) }
+]
+
+const writeEvents = (res, events, delayMs) => {
+  if (events.length === 0) return res.end()
+  const [event, ...rest] = events
+  res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+  setTimeout(() => writeEvents(res, rest, delayMs), delayMs)
+}
+
+// Local stub of the OpenAI API, each request is answered by the next reply: a response body, [status, body],
+// or { events, delayMs } for a streamed response
+const startStubServer = async (replies) => {
+  const stub = { requests: [] }
+  stub.server = http.createServer((req, res) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8')
+      // File uploads are multipart requests
+      const requestBody = req.headers['content-type']?.startsWith('application/json') ? JSON.parse(raw) : (raw || null)
+      stub.requests.push({ path: req.url, headers: req.headers, body: requestBody })
+      const reply = replies.shift() || [500, { error: { message: 'No stubbed reply left' } }]
+      if (reply.events) {
+        res.writeHead(200, { 'content-type': 'text/event-stream' })
+        return setTimeout(() => writeEvents(res, reply.events, reply.delayMs), reply.delayMs)
+      }
+      const [status, body] = Array.isArray(reply) ? reply : [200, reply]
+      res.writeHead(status, { 'content-type': 'application/json' })
+      res.end(JSON.stringify(body))
+    })
+  })
+  await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve))
+  stub.url = `http://127.0.0.1:${stub.server.address().port}`
+  return stub
+}
+
+describe('connector', function () {
+  beforeEach(function () {
+    this.init = async (replies, caps) => {
+      this.stub = await startStubServer(replies)
+      this.botMsgs = []
+      this.connector = new Connector({
+        queueBotSays: (botMsg) => this.botMsgs.push(botMsg),
+        caps: Object.assign({
+          CHATGPT_API_KEY: 'sk-unit-test-key',
+          CHATGPT_MODEL: 'gpt-unit',
+          CHATGPT_BASE_URL: `${this.stub.url}/v1`,
+          CHATGPT_MAX_RETRIES: 0
+        }, caps)
+      })
+      await this.connector.Validate()
+      await this.connector.Build()
+      await this.connector.Start()
+    }
+    this.userSays = async (msg) => {
+      await this.connector.UserSays(typeof msg === 'string' ? { messageText: msg } : msg)
+      // Bot messages are queued asynchronously
+      await new Promise(resolve => setTimeout(resolve, 0))
+      return this.botMsgs.pop()
+    }
+  })
+
+  afterEach(async function () {
+    if (this.connector) {
+      await this.connector.Stop()
+      await this.connector.Clean()
+    }
+    if (this.stub) await new Promise(resolve => this.stub.server.close(resolve))
+  })
+
+  it('should continue the conversation with the previous response', async function () {
+    await this.init([textResponse('resp_1', 'Hello'), textResponse('resp_2', 'Fine')], { CHATGPT_PROMPT: 'Be brief' })
+
+    assert.equal((await this.userSays('Hi')).messageText, 'Hello')
+    assert.equal((await this.userSays('How are you?')).messageText, 'Fine')
+
+    const [firstRequest, secondRequest] = this.stub.requests
+    assert.equal(firstRequest.path, '/v1/responses')
+    assert.equal(firstRequest.body.instructions, 'Be brief')
+    assert.deepEqual(firstRequest.body.input, [{ type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Hi' }] }])
+    assert.notExists(firstRequest.body.previous_response_id)
+    assert.equal(secondRequest.body.previous_response_id, 'resp_1')
+  })
+
+  it('should send the organization, project and default headers', async function () {
+    await this.init([textResponse('resp_1', 'Hello')], {
+      CHATGPT_ORGANIZATION: 'org-unit',
+      CHATGPT_PROJECT: 'proj-unit',
+      CHATGPT_DEFAULT_HEADERS: '{"x-gateway-key":"gateway-secret"}'
+    })
+
+    await this.userSays('Hi')
+    assert.include(this.stub.requests[0].headers, {
+      authorization: 'Bearer sk-unit-test-key',
+      'openai-organization': 'org-unit',
+      'openai-project': 'proj-unit',
+      'x-gateway-key': 'gateway-secret'
+    })
+  })
+
+  it('should use the Azure OpenAI deployment', async function () {
+    this.stub = await startStubServer([textResponse('resp_1', 'Hello')])
+    this.botMsgs = []
+    this.connector = new Connector({
+      queueBotSays: (botMsg) => this.botMsgs.push(botMsg),
+      caps: {
+        CHATGPT_API_KEY: 'azure-unit-key',
+        CHATGPT_MODEL: 'my-deployment',
+        CHATGPT_AZURE_ENDPOINT: this.stub.url,
+        CHATGPT_AZURE_API_VERSION: '2025-03-01-preview'
+      }
+    })
+    await this.connector.Validate()
+    await this.connector.Build()
+    await this.connector.Start()
+
+    assert.equal((await this.userSays('Hi')).messageText, 'Hello')
+    const [request] = this.stub.requests
+    assert.equal(request.path, '/openai/responses?api-version=2025-03-01-preview')
+    assert.equal(request.headers['api-key'], 'azure-unit-key')
+    assert.equal(request.body.model, 'my-deployment')
+  })
+
+  it('should validate the endpoint capabilities', function () {
+    const validate = (caps) => new Connector({ queueBotSays: () => {}, caps: Object.assign({ CHATGPT_API_KEY: 'key', CHATGPT_MODEL: 'gpt-unit' }, caps) }).Validate()
+    assert.throws(() => validate({ CHATGPT_AZURE_ENDPOINT: 'https://unit.openai.azure.com' }), /CHATGPT_AZURE_API_VERSION capability required/)
+    assert.throws(() => validate({ CHATGPT_AZURE_ENDPOINT: 'https://unit.openai.azure.com', CHATGPT_AZURE_API_VERSION: 'v', CHATGPT_BASE_URL: 'http://localhost' }), /mutually exclusive/)
+    assert.throws(() => validate({ CHATGPT_AZURE_DEPLOYMENT: 'd' }), /CHATGPT_AZURE_ENDPOINT capability required/)
+    assert.throws(() => validate({ CHATGPT_DEFAULT_HEADERS: { 'x-retries': 3 } }), /string values/)
+  })
+
+  it('should use the chat completions API', async function () {
+    await this.init([{
+      id: 'chatcmpl-1',
+      model: 'gpt-unit',
+      choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: 'Hello' } }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    }, {
+      id: 'chatcmpl-2',
+      model: 'gpt-unit',
+      choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: 'Fine' } }]
+    }], { CHATGPT_API_MODE: 'chat_completions', CHATGPT_PROMPT: 'Be brief' })
+
+    assert.equal((await this.userSays('Hi')).messageText, 'Hello')
+    assert.equal((await this.userSays('How are you?')).messageText, 'Fine')
+    const [firstRequest, secondRequest] = this.stub.requests
+    assert.equal(firstRequest.path, '/v1/chat/completions')
+    assert.deepEqual(firstRequest.body.messages, [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hi' }])
+    assert.deepEqual(secondRequest.body.messages.map(m => m.content), ['Be brief', 'Hi', 'Hello', 'How are you?'])
+  })
+
+  it('should reject Responses API capabilities in chat completions mode', function () {
+    const validate = (caps) => new Connector({ queueBotSays: () => {}, caps: Object.assign({ CHATGPT_API_KEY: 'key', CHATGPT_MODEL: 'gpt-unit', CHATGPT_API_MODE: 'chat_completions' }, caps) }).Validate()
+    assert.throws(() => validate({ CHATGPT_TOOLS: 'web_search' }), /CHATGPT_TOOLS \(hosted tools\) are not supported/)
+    assert.throws(() => validate({ CHATGPT_INCLUDE: 'reasoning.encrypted_content' }), /CHATGPT_INCLUDE is not supported/)
+  })
+
+  it('should stream partial messages and measure the latency', async function () {
+    await this.init([{ events: streamEvents('resp_1', ['Hel', 'lo', ' world']), delayMs: 20 }], {
+      CHATGPT_STREAM: 'true',
+      CHATGPT_STREAM_PARTIAL_MESSAGES: 'true'
+    })
+
+    const botMsg = await this.userSays('Hi')
+    assert.isTrue(this.stub.requests[0].body.stream)
+    assert.deepEqual(this.botMsgs.map(m => [m.messageText, m.partial]), [['Hel', true], ['Hello', true], ['Hello world', true]])
+    assert.equal(botMsg.messageText, 'Hello world')
+    assert.notProperty(botMsg, 'partial')
+    assert.isAtLeast(botMsg.metrics.timeToFirstTokenMs, 15)
+    assert.isAtLeast(botMsg.metrics.totalLatencyMs, botMsg.metrics.timeToFirstTokenMs)
+    assert.equal(botMsg.metrics.outputTokens, 5)
+    assert.isAbove(botMsg.metrics.tokensPerSecond, 0)
+    assert.lengthOf(botMsg.metrics.calls, 1)
+    assert.equal(botMsg.metrics.calls[0].responseId, 'resp_1')
+  })
+
+  it('should parse the streaming capabilities as booleans', async function () {
+    await this.init([textResponse('resp_1', 'Hello')], { CHATGPT_STREAM: 'false', CHATGPT_STREAM_PARTIAL_MESSAGES: 'false' })
+
+    const botMsg = await this.userSays('Hi')
+    assert.notExists(this.stub.requests[0].body.stream)
+    assert.notProperty(botMsg, 'metrics')
+    assert.throws(() => new Connector({ queueBotSays: () => {}, caps: { CHATGPT_API_KEY: 'key', CHATGPT_MODEL: 'gpt-unit', CHATGPT_STREAM: 'yes' } }).Validate(), /CHATGPT_STREAM must be true or false/)
+  })
+
+  it('should retry rate limited requests', async function () {
+    await this.init([
+      [429, { error: { message: 'Rate limit reached', type: 'requests', code: 'rate_limit_exceeded' } }],
+      textResponse('resp_1', 'Hello')
+    ], { CHATGPT_MAX_RETRIES: 1, CHATGPT_RETRY_INITIAL_DELAY: 1 })
+
+    assert.equal((await this.userSays('Hi')).messageText, 'Hello')
+    assert.lengthOf(this.stub.requests, 2)
+  })
+
+  it('should report classified errors after the last retry', async function () {
+    await this.init([
+      [503, { error: { message: 'Service unavailable', type: 'server_error' } }],
+      [503, { error: { message: 'Service unavailable', type: 'server_error' } }]
+    ], { CHATGPT_MAX_RETRIES: 1, CHATGPT_RETRY_INITIAL_DELAY: 1 })
+
+    try {
+      await this.userSays('Hi')
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.match(err.message, /^Error from ChatGPT \[server\]: .* \(failed after 2 attempts\)$/)
+      assert.equal(err.classification.type, 'server')
+    }
+  })
+
+  it('should report errors of follow-up calls', async function () {
+    await this.init([
+      {
+        id: 'resp_1',
+        object: 'response',
+        status: 'completed',
+        output: [{ type: 'function_call', id: 'fc_1', name: 'createExcelFile', call_id: 'call_1', arguments: '{"data":[["a"]]}' }]
+      },
+      [429, { error: { message: 'You exceeded your current quota', type: 'insufficient_quota', code: 'insufficient_quota' } }]
+    ])
+
+    try {
+      await this.userSays('Create a spreadsheet')
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.equal(err.classification.type, 'quota')
+    }
+    assert.deepEqual(this.stub.requests[1].body.input, [{ type: 'function_call_output', call_id: 'call_1', output: '' }])
+  })
+
+  it('should continue before a failed turn', async function () {
+    await this.init([
+      textResponse('resp_1', 'Hello'),
+      {
+        id: 'resp_2',
+        object: 'response',
+        status: 'completed',
+        output: [{ type: 'function_call', id: 'fc_1', name: 'createExcelFile', call_id: 'call_1', arguments: '{"data":[["a"]]}' }]
+      },
+      [400, { error: { message: 'Invalid request', type: 'invalid_request_error' } }],
+      textResponse('resp_3', 'Fine')
+    ])
+
+    await this.userSays('Hi')
+    try {
+      await this.userSays('Create a spreadsheet')
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.equal(err.classification.type, 'bad_request')
+    }
+    await this.userSays('How are you?')
+    // The unanswered function call of the failed turn is not continued
+    assert.equal(this.stub.requests[3].body.previous_response_id, 'resp_1')
+  })
+
+  it('should send the history in stateless mode and drop failed turns', async function () {
+    await this.init([
+      textResponse('resp_1', 'Hello'),
+      [400, { error: { message: 'Invalid request', type: 'invalid_request_error' } }],
+      textResponse('resp_2', 'Fine')
+    ], { CHATGPT_STATELESS: 'true' })
+
+    await this.userSays('Hi')
+    try {
+      await this.userSays('Broken')
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.equal(err.classification.type, 'bad_request')
+    }
+    await this.userSays('How are you?')
+
+    const lastRequest = this.stub.requests[2].body
+    assert.isFalse(lastRequest.store)
+    assert.notProperty(lastRequest, 'previous_response_id')
+    assert.include(lastRequest.include, 'reasoning.encrypted_content')
+    assert.deepEqual(lastRequest.input.map(item => item.role || item.type), ['user', 'assistant', 'user'])
+    assert.notInclude(JSON.stringify(lastRequest.input), 'Broken')
+  })
+
+  it('should parse the stateless capability', async function () {
+    await this.init([textResponse('resp_1', 'Hello')], { CHATGPT_STATELESS: 'false' })
+
+    await this.userSays('Hi')
+    assert.notProperty(this.stub.requests[0].body, 'store')
+    assert.throws(() => new Connector({ caps: { CHATGPT_API_KEY: 'key', CHATGPT_MODEL: 'model', CHATGPT_STATELESS: 'on' } }).Validate(), /CHATGPT_STATELESS must be true or false/)
+  })
+
+  it('should answer function calls with the mocked output', async function () {
+    await this.init([functionCallResponse('resp_1', 'get_weather', 'call_1'), textResponse('resp_2', 'Sunny')], {
+      CHATGPT_FUNCTION_TOOLS: [{ name: 'get_weather', output: { weather: 'sunny in {{city}}' } }]
+    })
+
+    const botMsg = await this.userSays('Weather in Vienna?')
+    assert.equal(botMsg.messageText, 'Sunny')
+    assert.lengthOf(botMsg.functionCalls, 1)
+    assert.include(botMsg.functionCalls[0], { name: 'get_weather' })
+    assert.deepEqual(botMsg.functionCalls[0].arguments, { city: 'Vienna' })
+    assert.deepEqual(this.stub.requests[0].body.tools[1], { type: 'function', name: 'get_weather', parameters: { type: 'object', properties: {} } })
+
+    const followUp = this.stub.requests[1].body
+    assert.equal(followUp.previous_response_id, 'resp_1')
+    assert.deepEqual(followUp.input, [{ type: 'function_call_output', call_id: 'call_1', output: '{"weather":"sunny in Vienna"}' }])
+  })
+
+  it('should answer unknown function calls with an error output', async function () {
+    await this.init([functionCallResponse('resp_1', 'unknown_function', 'call_1'), textResponse('resp_2', 'Sorry')], {
+      CHATGPT_FUNCTION_TOOLS: [{ name: 'get_weather', output: 'sunny' }]
+    })
+
+    const botMsg = await this.userSays('Hi')
+    assert.equal(botMsg.messageText, 'Sorry')
+    assert.equal(botMsg.functionCalls[0].error, 'Function unknown_function is not available')
+    const [output] = this.stub.requests[1].body.input
+    assert.include(output, { type: 'function_call_output', call_id: 'call_1' })
+    assert.equal(output.output, JSON.stringify({ error: 'Function unknown_function is not available' }))
+  })
+
+  it('should fail the turn at the function call round limit', async function () {
+    await this.init([
+      functionCallResponse('resp_1', 'get_weather', 'call_1'),
+      functionCallResponse('resp_2', 'get_weather', 'call_2')
+    ], {
+      CHATGPT_FUNCTION_TOOLS: [{ name: 'get_weather', output: 'sunny' }],
+      CHATGPT_FUNCTION_MAX_ROUNDS: 1
+    })
+
+    try {
+      await this.userSays('Weather in Vienna?')
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.equal(err.classification.type, 'function_max_rounds')
+    }
+    assert.lengthOf(this.stub.requests, 2)
+  })
+
+  it('should not make follow-up calls with a function call round limit of 0', async function () {
+    await this.init([functionCallResponse('resp_1', 'get_weather', 'call_1')], {
+      CHATGPT_FUNCTION_TOOLS: [{ name: 'get_weather', output: 'sunny' }],
+      CHATGPT_FUNCTION_MAX_ROUNDS: '0'
+    })
+
+    try {
+      await this.userSays('Weather in Vienna?')
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.equal(err.classification.type, 'function_max_rounds')
+      assert.match(err.message, /\(0\)/)
+    }
+    assert.lengthOf(this.stub.requests, 1)
+  })
+
+  it('should reject MCP tools with conflicting function names', async function () {
+    this.timeout(10000)
+    try {
+      await this.init([], {
+        CHATGPT_MCP_SERVERS: [{
+          name: 'unit',
+          command: process.execPath,
+          args: [path.join(__dirname, 'mcpTestServer.js')],
+          env: { MCP_TEST_TOOLS: 'orders.find,orders_find' }
+        }]
+      })
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.equal(err.message, 'Tool "orders_find" (MCP tool "orders_find") of MCP server "unit" is already defined, use the "prefix" option of the MCP server to avoid name conflicts')
+    }
+    assert.isEmpty(this.connector.mcpServers)
+  })
+
+  it('should send hosted tools, tool choice and parallel tool calls', async function () {
+    await this.init([textResponse('resp_1', 'Hello')], {
+      CHATGPT_TOOLS: 'web_search',
+      CHATGPT_TOOL_CHOICE: '{"type":"web_search"}',
+      CHATGPT_PARALLEL_TOOL_CALLS: 'false'
+    })
+
+    await this.userSays('Hi')
+    const { tools, tool_choice: toolChoice, parallel_tool_calls: parallelToolCalls } = this.stub.requests[0].body
+    assert.deepEqual(tools.map(tool => tool.type), ['function', 'web_search'])
+    assert.deepEqual(toolChoice, { type: 'web_search' })
+    assert.isFalse(parallelToolCalls)
+  })
+
+  it('should delete the provisioned vector store if an MCP server cannot be connected', async function () {
+    const calls = []
+    this.connector = new Connector({
+      queueBotSays: () => {},
+      caps: {
+        CHATGPT_API_KEY: 'sk-unit-test-key',
+        CHATGPT_MODEL: 'gpt-unit',
+        CHATGPT_VECTOR_STORE_FILES: __filename,
+        CHATGPT_MCP_SERVERS: [{ name: 'missing', command: path.join(__dirname, 'missing-mcp-server') }]
+      }
+    })
+    this.connector.createOpenAiClient = () => ({
+      files: {
+        create: async () => ({ id: 'file-1' }),
+        delete: async (id) => calls.push(['files.delete', id])
+      },
+      vectorStores: {
+        create: async () => ({ id: 'vs_1' }),
+        delete: async (id) => calls.push(['vectorStores.delete', id]),
+        fileBatches: { create: async () => ({ id: 'vsfb_1', status: 'completed', file_counts: { total: 1, completed: 1 } }) }
+      }
+    })
+
+    await this.connector.Validate()
+    try {
+      await this.connector.Build()
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.match(err.message, /^Cannot connect to MCP server "missing"/)
+    }
+    assert.deepEqual(calls, [['vectorStores.delete', 'vs_1'], ['files.delete', 'file-1']])
+    assert.isNull(this.connector.vectorStore)
+  })
+
+  it('should add the token usage and cost to the bot message', async function () {
+    await this.init([textResponse('resp_1', 'Hello'), textResponse('resp_2', 'Fine')], {
+      CHATGPT_PRICES: { 'gpt-unit': { input: 1, output: 2 } }
+    })
+
+    await this.userSays('Hi')
+    const { usage } = await this.userSays('How are you?')
+    assert.include(usage, { inputTokens: 10, outputTokens: 5, totalTokens: 15, requests: 1, cost: 0.00002 })
+    assert.include(usage.conversation, { totalTokens: 30, requests: 2, cost: 0.00004 })
+  })
+
+  it('should fail the turn exceeding the token budget', async function () {
+    await this.init([textResponse('resp_1', 'Hello'), textResponse('resp_2', 'Fine')], { CHATGPT_BUDGET_MAX_TOKENS: 20 })
+
+    await this.userSays('Hi')
+    try {
+      await this.userSays('How are you?')
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.match(err.message, /Token budget exceeded: 30 tokens used in conversation, limit is 20/)
+    }
+  })
+
+  it('should fail the cost budget check without a price for the model', async function () {
+    await this.init([textResponse('resp_1', 'Hello')], {
+      CHATGPT_PRICES: { 'gpt-other': { input: 1, output: 2 } },
+      CHATGPT_BUDGET_MAX_COST: 1
+    })
+
+    try {
+      await this.userSays('Hi')
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.match(err.message, /Cost budget cannot be checked: no price for model "gpt-unit" in CHATGPT_PRICES/)
+    }
+  })
+
+  it('should map structured output to the bot message', async function () {
+    await this.init([textResponse('resp_1', '{"reply":"Hi","intent":"greeting","options":["Order status"]}')], {
+      CHATGPT_OUTPUT_SCHEMA: {
+        title: 'reply',
+        type: 'object',
+        additionalProperties: false,
+        required: ['reply', 'intent', 'options'],
+        properties: { reply: { type: 'string' }, intent: { type: 'string' }, options: { type: 'array', items: { type: 'string' } } }
+      },
+      CHATGPT_OUTPUT_MAPPING: { messageText: 'reply', 'nlp.intent': 'intent', buttons: 'options' }
+    })
+
+    const botMsg = await this.userSays('Hi')
+    assert.deepInclude(this.stub.requests[0].body.text.format, { type: 'json_schema', name: 'reply', strict: true })
+    assert.equal(botMsg.messageText, 'Hi')
+    assert.deepEqual(botMsg.nlp, { intent: { name: 'greeting' } })
+    assert.deepEqual(botMsg.buttons, [{ text: 'Order status', payload: 'Order status' }])
+    assert.deepEqual(botMsg.structuredOutput, { reply: 'Hi', intent: 'greeting', options: ['Order status'] })
+  })
+
+  it('should fail the turn on structured output violating the schema', async function () {
+    await this.init([textResponse('resp_1', '{"reply":42}')], {
+      CHATGPT_OUTPUT_SCHEMA: { type: 'object', required: ['reply'], properties: { reply: { type: 'string' } } }
+    })
+
+    try {
+      await this.userSays('Hi')
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.match(err.message, /Structured output does not match the output schema: \/reply must be string/)
+    }
+  })
+
+  it('should split the response text into several bot messages at the delimiter', async function () {
+    await this.init([textResponse('resp_1', 'Hello!\n---\nHow can I help?\n---\n')], {
+      CHATGPT_MULTI_MESSAGE_MODE: 'delimiter',
+      CHATGPT_MULTI_MESSAGE_DELIMITER: '\\n---\\n'
+    })
+
+    const botMsg = await this.userSays('Hi')
+    assert.deepEqual(this.botMsgs.map(m => m.messageText), ['Hello!'])
+    assert.notProperty(this.botMsgs[0], 'usage')
+    assert.equal(botMsg.messageText, 'How can I help?')
+    assert.include(botMsg.usage, { totalTokens: 15 })
+  })
+
+  it('should send each Botium JSON message as bot message', async function () {
+    const messages = [{ messageText: 'Hello!' }, { messageText: 'Pick one', buttons: [{ text: 'Orders', payload: 'ORDERS' }] }]
+    await this.init([textResponse('resp_1', JSON.stringify({ messages }))], {
+      CHATGPT_RESPOND_AS_BOTIUM_JSON: true,
+      CHATGPT_MULTI_MESSAGE_MODE: 'botium_json'
+    })
+
+    const botMsg = await this.userSays('Hi')
+    assert.include(this.stub.requests[0].body.text.format, { type: 'json_schema', name: 'botium_messages' })
+    assert.equal(this.botMsgs[0].messageText, 'Hello!')
+    assert.equal(botMsg.messageText, 'Pick one')
+    assert.deepEqual(botMsg.buttons, [{ text: 'Orders', payload: 'ORDERS' }])
+  })
+
+  it('should reject the delimiter mode for Botium JSON responses', async function () {
+    try {
+      await this.init([], { CHATGPT_RESPOND_AS_BOTIUM_JSON: true, CHATGPT_MULTI_MESSAGE_MODE: 'delimiter' })
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.match(err.message, /CHATGPT_MULTI_MESSAGE_MODE "delimiter" is only available for text responses/)
+    }
+  })
+
+  it('should send refusals as bot messages by default', async function () {
+    const refusal = Object.assign(textResponse('resp_1', ''), {
+      output: [{ type: 'message', role: 'assistant', content: [{ type: 'refusal', refusal: 'I cannot help with that.' }] }]
+    })
+    await this.init([refusal])
+
+    const botMsg = await this.userSays('Hi')
+    assert.include(botMsg, { messageText: 'I cannot help with that.', refusal: true, refusalText: 'I cannot help with that.' })
+  })
+
+  it('should fail the turn on incomplete responses with CHATGPT_FAIL_ON', async function () {
+    const incomplete = () => Object.assign(textResponse('resp_1', 'Once upon a'), { status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' } })
+    await this.init([incomplete(), Object.assign(incomplete(), { incomplete_details: { reason: 'content_filter' } })], { CHATGPT_FAIL_ON: 'refusal, incomplete' })
+
+    for (const expected of [/\[incomplete\].*Incomplete response \(max_output_tokens\)/, /\[content_filter\].*Incomplete response \(content_filter\)/]) {
+      try {
+        await this.userSays('Tell me a story')
+        assert.fail('expected an error')
+      } catch (err) {
+        assert.match(err.message, expected)
+      }
+    }
+  })
+
+  it('should add the reason of incomplete responses to the bot message', async function () {
+    await this.init([Object.assign(textResponse('resp_1', 'Once upon a'), { status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' } })])
+
+    const botMsg = await this.userSays('Tell me a story')
+    assert.equal(botMsg.messageText, 'Once upon a')
+    assert.deepEqual(botMsg.incomplete, { reason: 'max_output_tokens' })
+  })
+
+  it('should fail the turn on empty responses by default', async function () {
+    await this.init([Object.assign(textResponse('resp_1', ''), { output: [{ type: 'reasoning', summary: [] }] })])
+
+    try {
+      await this.userSays('Hi')
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.match(err.message, /\[empty_response\].*Empty response from model \(output items: reasoning\)/)
+    }
+  })
+
+  it('should send empty responses as bot messages with CHATGPT_FAIL_ON none', async function () {
+    await this.init([Object.assign(textResponse('resp_1', ''), { output: [] })], { CHATGPT_FAIL_ON: 'none' })
+
+    const botMsg = await this.userSays('Hi')
+    assert.equal(botMsg.messageText, '')
+  })
+
+  it('should reject unknown CHATGPT_FAIL_ON options', async function () {
+    try {
+      await this.init([], { CHATGPT_FAIL_ON: 'refusal,timeout' })
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.match(err.message, /CHATGPT_FAIL_ON must be a comma-separated list of refusal, incomplete, empty \(or "none"\), got "refusal,timeout"/)
+    }
+  })
+
+  it('should attach generated images and container files to the bot message', async function () {
+    const response = textResponse('resp_1', 'Here are the results')
+    response.output = [
+      { type: 'image_generation_call', id: 'ig_1', result: Buffer.from('image').toString('base64'), revised_prompt: 'A chart' },
+      { type: 'code_interpreter_call', id: 'ci_1', container_id: 'cntr_1' },
+      ...response.output
+    ]
+    response.output[2].content[0].annotations = [{ type: 'container_file_citation', container_id: 'cntr_1', file_id: 'cfile_1', filename: 'results.json' }]
+    await this.init([response, { rows: 2 }])
+
+    const botMsg = await this.userSays('Plot the results')
+    assert.equal(this.stub.requests[1].path, '/v1/containers/cntr_1/files/cfile_1/content')
+    assert.deepEqual(botMsg.media.map(m => [m.mediaUri, m.mimeType, m.altText]), [['ig_1.png', 'image/png', 'A chart']])
+    assert.deepEqual(botMsg.attachments, [{ name: 'results.json', mimeType: 'application/json', base64: Buffer.from('{"rows":2}').toString('base64') }])
+  })
+
+  it('should add the reasoning summary and tokens to the bot message', async function () {
+    const response = textResponse('resp_1', 'Your order is on its way')
+    response.output.unshift({ type: 'reasoning', id: 'rs_1', summary: [{ type: 'summary_text', text: '**Checking the order**' }, { type: 'summary_text', text: 'It was shipped.' }] })
+    response.usage = Object.assign({}, USAGE, { output_tokens_details: { reasoning_tokens: 3 } })
+    await this.init([response], { CHATGPT_REASONING_EFFORT: 'low', CHATGPT_REASONING_SUMMARY: 'auto' })
+
+    const botMsg = await this.userSays('Where is my order?')
+    assert.deepEqual(this.stub.requests[0].body.reasoning, { effort: 'low', summary: 'auto' })
+    assert.equal(botMsg.messageText, 'Your order is on its way')
+    assert.deepEqual(botMsg.reasoning, { summary: '**Checking the order**\n\nIt was shipped.', tokens: 3 })
+  })
+
+  it('should send PDF attachments as input_file', async function () {
+    await this.init([textResponse('resp_1', 'A manual')], { CHATGPT_FILE_SEND_MODE: 'base64' })
+
+    await this.userSays({ messageText: 'What is this?', media: [{ mediaUri: 'docs/manual.pdf', buffer: Buffer.from('%PDF') }] })
+    assert.deepEqual(this.stub.requests[0].body.input[0].content[1], {
+      type: 'input_file',
+      filename: 'manual.pdf',
+      file_data: `data:application/pdf;base64,${Buffer.from('%PDF').toString('base64')}`
+    })
+  })
+
+  it('should upload PDF attachments and delete them after the turn', async function () {
+    await this.init([{ id: 'file-1', object: 'file', purpose: 'user_data' }, textResponse('resp_1', 'A manual'), { id: 'file-1', object: 'file', deleted: true }])
+
+    await this.userSays({ messageText: 'What is this?', media: [{ mediaUri: 'manual.pdf', mimeType: 'application/pdf', buffer: Buffer.from('%PDF') }] })
+    assert.deepEqual(this.stub.requests.map(r => r.path), ['/v1/files', '/v1/responses', '/v1/files/file-1'])
+    assert.include(this.stub.requests[0].body, 'name="purpose"\r\n\r\nuser_data')
+    assert.deepEqual(this.stub.requests[1].body.input[0].content[1], { type: 'input_file', file_id: 'file-1' })
+  })
+
+  it('should reject attachments of unsupported types', async function () {
+    await this.init([])
+
+    try {
+      await this.userSays({ messageText: 'Unpack this', media: [{ mediaUri: 'archive.zip', buffer: Buffer.from('PK') }] })
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.match(err.message, /Attachment "archive.zip" has unsupported type application\/zip, supported are images, audio, text files and documents \(pdf, doc, docx/)
+    }
+    assert.isEmpty(this.stub.requests)
+  })
+
+  it('should keep uploaded files for the conversation in stateless mode', async function () {
+    const pdf = { mediaUri: 'manual.pdf', buffer: Buffer.from('%PDF') }
+    await this.init([{ id: 'file-1', object: 'file' }, textResponse('resp_1', 'A manual'), textResponse('resp_2', 'Still a manual'), { id: 'file-1', deleted: true }], {
+      CHATGPT_STATELESS: true
+    })
+
+    await this.userSays({ messageText: 'What is this?', media: [pdf] })
+    await this.userSays({ messageText: 'And now?', media: [pdf] })
+    assert.deepEqual(this.stub.requests.map(r => r.path), ['/v1/files', '/v1/responses', '/v1/responses'])
+    assert.deepEqual(this.stub.requests[2].body.input[2].content[1], { type: 'input_file', file_id: 'file-1' })
+
+    await this.connector.Stop()
+    assert.deepEqual(this.stub.requests.map(r => r.path).slice(3), ['/v1/files/file-1'])
+  })
+
+  it('should reject the message file lifetime in stateless mode', async function () {
+    try {
+      await this.init([], { CHATGPT_STATELESS: true, CHATGPT_FILE_LIFETIME: 'message' })
+      assert.fail('expected an error')
+    } catch (err) {
+      assert.match(err.message, /CHATGPT_FILE_LIFETIME "message" cannot be used with CHATGPT_STATELESS and uploaded files/)
+    }
+  })
+
+  it('should transcribe audio attachments', async function () {
+    await this.init([{ text: 'Where is my order?' }, textResponse('resp_1', 'On its way')], { CHATGPT_TRANSCRIPTION_LANGUAGE: 'en' })
+
+    await this.userSays({ media: [{ mediaUri: 'question.wav', buffer: Buffer.from('RIFF') }] })
+    assert.equal(this.stub.requests[0].path, '/v1/audio/transcriptions')
+    assert.include(this.stub.requests[0].body, 'gpt-4o-mini-transcribe')
+    assert.deepEqual(this.stub.requests[1].body.input[0].content, [{ type: 'input_text', text: 'Where is my order?' }])
+  })
+
+  it('should add spoken bot replies as media', async function () {
+    await this.init([textResponse('resp_1', 'Hello'), 'speech'], { CHATGPT_TTS: 'true', CHATGPT_TTS_VOICE: 'nova' })
+
+    const botMsg = await this.userSays('Hi')
+    assert.deepEqual(this.stub.requests[1].body, { model: 'gpt-4o-mini-tts', voice: 'nova', input: 'Hello', response_format: 'mp3' })
+    assert.equal(botMsg.messageText, 'Hello')
+    assert.deepEqual(botMsg.media, [{ mediaUri: 'speech.mp3', mimeType: 'audio/mpeg', buffer: Buffer.from('"speech"'), altText: 'Hello' }])
+  })
+
+  it('should send clicked buttons of the previous bot message as user text', async function () {
+    const buttons = JSON.stringify({ messageText: 'What next?', buttons: [{ text: 'Track order', payload: 'track_order' }] })
+    await this.init([textResponse('resp_1', buttons), textResponse('resp_2', 'On its way')], { CHATGPT_RESPOND_AS_BOTIUM_JSON: true })
+
+    await this.userSays('Hi')
+    await this.userSays({ buttons: [{ payload: 'track_order' }], forms: [{ name: 'order', value: '4711' }] })
+    assert.deepEqual(this.stub.requests[1].body.input[0].content, [
+      { type: 'input_text', text: 'User clicked the button "Track order" (payload: track_order)' },
+      { type: 'input_text', text: 'User submitted the form:\norder: 4711' }
+    ])
+  })
+
+  it('should render the system prompt with the prompt variables of the conversation', async function () {
+    await this.init([textResponse('resp_1', 'Hello'), textResponse('resp_2', 'Hallo')], {
+      CHATGPT_PROMPT: 'Answer in {{locale}} to {{user}}',
+      CHATGPT_PROMPT_VARIABLES: { locale: 'en-US' }
+    })
+
+    const first = await this.userSays('Hi')
+    const second = await this.userSays({ messageText: 'Hi', PROMPT_VARIABLES: { locale: 'de-AT' } })
+    assert.equal(this.stub.requests[0].body.instructions, 'Answer in en-US to {{user}}')
+    assert.equal(this.stub.requests[1].body.instructions, 'Answer in de-AT to {{user}}')
+    assert.match(first.promptHash, /^[0-9a-f]{64}$/)
+    assert.notEqual(second.promptHash, first.promptHash)
+  })
+
+  it('should send the stored prompt with the model of the prompt', async function () {
+    const response = Object.assign(textResponse('resp_1', 'Hello Anna'), { prompt: { id: 'pmpt_1', version: '4' } })
+    await this.init([response], {
+      CHATGPT_MODEL: '',
+      CHATGPT_STORED_PROMPT_ID: 'pmpt_1',
+      CHATGPT_STORED_PROMPT_VERSION: '4',
+      CHATGPT_STORED_PROMPT_VARIABLES: { name: '{{name}}' },
+      CHATGPT_PROMPT_VARIABLES: { name: 'Anna' }
+    })
+
+    const botMsg = await this.userSays('Hi')
+    assert.deepEqual(this.stub.requests[0].body.prompt, { id: 'pmpt_1', version: '4', variables: { name: 'Anna' } })
+    assert.notProperty(this.stub.requests[0].body, 'model')
+    assert.notProperty(this.stub.requests[0].body, 'instructions')
+    assert.deepEqual(botMsg.storedPrompt, { id: 'pmpt_1', version: '4' })
+  })
+})
@@ -0,0 +1,75 @@
+const assert = require('chai').assert
+const { FileCache } = require('../../src/fileCache')
+
+const NOW = Math.floor(Date.now() / 1000)
+
+// Fake OpenAI client recording the file requests
+const createOpenAi = (existingFiles = []) => {
+  const calls = []
+  let counter = 0
+  const openai = {
+    files: {
+      create: async ({ file, purpose }) => {
+        calls.push(['files.create', file.name, purpose])
+        return { id: `file-${++counter}` }
+      },
+      delete: async (id) => {
+        calls.push(['files.delete', id])
+        if (id === 'file-gone') throw new Error('No such file')
+        return { id, deleted: true }
+      },
+      list: async function * () {
+        yield * existingFiles
+      }
+    }
+  }
+  return { openai, calls }
+}
+
+const request = (name, fn) => fn()
+
+describe('fileCache', function () {
+  describe('upload', function () {
+    it('should upload the same content only once per purpose', async function () {
+      const { openai, calls } = createOpenAi()
+      const fileCache = new FileCache(openai, { prefix: 'botium-', request })
+
+      assert.equal(await fileCache.upload(Buffer.from('%PDF'), 'docs/manual.pdf', 'application/pdf', 'user_data'), 'file-1')
+      assert.equal(await fileCache.upload(Buffer.from('%PDF'), 'copy.pdf', 'application/pdf', 'user_data'), 'file-1')
+      assert.equal(await fileCache.upload(Buffer.from('%PDF'), 'manual.pdf', 'application/pdf', 'assistants'), 'file-2')
+      assert.equal(await fileCache.upload(Buffer.from('%PDF-1.7'), 'manual.pdf', 'application/pdf', 'user_data'), 'file-3')
+      assert.deepEqual(calls, [
+        ['files.create', 'botium-manual.pdf', 'user_data'],
+        ['files.create', 'botium-manual.pdf', 'assistants'],
+        ['files.create', 'botium-manual.pdf', 'user_data']
+      ])
+    })
+  })
+
+  describe('clear', function () {
+    it('should delete the uploaded files and upload them again afterwards', async function () {
+      const { openai, calls } = createOpenAi()
+      const fileCache = new FileCache(openai, { prefix: 'botium-', request })
+
+      await fileCache.upload(Buffer.from('%PDF'), 'manual.pdf', 'application/pdf', 'user_data')
+      await fileCache.clear()
+      assert.equal(await fileCache.upload(Buffer.from('%PDF'), 'manual.pdf', 'application/pdf', 'user_data'), 'file-2')
+      assert.deepEqual(calls.map(c => c.slice(0, 2)), [['files.create', 'botium-manual.pdf'], ['files.delete', 'file-1'], ['files.create', 'botium-manual.pdf']])
+    })
+  })
+
+  describe('cleanupOrphans', function () {
+    it('should delete old files with the prefix only', async function () {
+      const { openai, calls } = createOpenAi([
+        { id: 'file-old', filename: 'botium-manual.pdf', created_at: NOW - 7200 },
+        { id: 'file-gone', filename: 'botium-table.csv', created_at: NOW - 7200 },
+        { id: 'file-recent', filename: 'botium-manual.pdf', created_at: NOW - 60 },
+        { id: 'file-other', filename: 'invoice.pdf', created_at: NOW - 7200 }
+      ])
+      const fileCache = new FileCache(openai, { prefix: 'botium-', request })
+
+      assert.equal(await fileCache.cleanupOrphans(3600), 2)
+      assert.deepEqual(calls, [['files.delete', 'file-old'], ['files.delete', 'file-gone']])
+    })
+  })
+})
@@ -0,0 +1,49 @@
+const assert = require('chai').assert
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { readJsonOrFileCap, parseBooleanCap, renderTemplate } = require('../../src/helpers')
+
+describe('helpers', function () {
+  describe('readJsonOrFileCap', function () {
+    it('should accept objects and JSON strings', function () {
+      assert.deepEqual(readJsonOrFileCap({ CAP: { a: 1 } }, 'CAP'), { value: { a: 1 }, baseDir: process.cwd() })
+      assert.deepEqual(readJsonOrFileCap({ CAP: ' [1, 2]' }, 'CAP').value, [1, 2])
+      assert.isNull(readJsonOrFileCap({ CAP: '' }, 'CAP'))
+      assert.throws(() => readJsonOrFileCap({ CAP: '{a:1}' }, 'CAP'), /CAP must be valid JSON/)
+    })
+
+    it('should read JSON files relative to the working directory', function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'botium-helpers-'))
+      try {
+        fs.writeFileSync(path.join(dir, 'cap.json'), '{"b":2}')
+        fs.writeFileSync(path.join(dir, 'broken.json'), 'not json')
+        assert.deepEqual(readJsonOrFileCap({ CAP: path.relative(process.cwd(), path.join(dir, 'cap.json')) }, 'CAP'), { value: { b: 2 }, baseDir: dir })
+        assert.throws(() => readJsonOrFileCap({ CAP: path.join(dir, 'broken.json') }, 'CAP'), /is not valid JSON/)
+        assert.throws(() => readJsonOrFileCap({ CAP: path.join(dir, 'missing.json') }, 'CAP'), /cannot read file/)
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('parseBooleanCap', function () {
+    it('should accept booleans and boolean strings', function () {
+      assert.isTrue(parseBooleanCap({ CAP: true }, 'CAP'))
+      assert.isTrue(parseBooleanCap({ CAP: 'TRUE' }, 'CAP'))
+      assert.isFalse(parseBooleanCap({ CAP: 'false' }, 'CAP'))
+      assert.isNull(parseBooleanCap({}, 'CAP'))
+      assert.throws(() => parseBooleanCap({ CAP: 'yes' }, 'CAP'), /CAP must be true or false, got "yes"/)
+    })
+  })
+
+  describe('renderTemplate', function () {
+    it('should replace placeholders in nested values', function () {
+      assert.deepEqual(renderTemplate({ text: 'Order {{ order.id }}: {{status}}', list: ['{{items}}'], count: 2 }, { order: { id: 4711 }, items: [1, 2] }), {
+        text: 'Order 4711: ',
+        list: ['[1,2]'],
+        count: 2
+      })
+    })
+  })
+})
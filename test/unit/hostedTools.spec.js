@@ -0,0 +1,72 @@
+const assert = require('chai').assert
+const { parseHostedTools, validateHostedTools, parseToolChoice } = require('../../src/hostedTools')
+
+const validate = (tools) => validateHostedTools(tools, 'CAP')
+
+describe('hostedTools', function () {
+  describe('parseHostedTools', function () {
+    it('should accept tool types and JSON tool definitions', function () {
+      assert.deepEqual(parseHostedTools({ CAP: 'web_search, code_interpreter' }, 'CAP'), [
+        { type: 'web_search' },
+        { type: 'code_interpreter', container: { type: 'auto' } }
+      ])
+      assert.deepEqual(parseHostedTools({ CAP: '{"type":"file_search","vector_store_ids":["vs_1"]}' }, 'CAP'), [{ type: 'file_search', vector_store_ids: ['vs_1'] }])
+      assert.deepEqual(parseHostedTools({ CAP: ['web_search'] }, 'CAP'), [{ type: 'web_search' }])
+      assert.deepEqual(parseHostedTools({}, 'CAP'), [])
+      assert.throws(() => parseHostedTools({ CAP: '[{"type":' }, 'CAP'), /CAP must be a comma-separated list of tool types or a valid JSON array/)
+    })
+  })
+
+  describe('validateHostedTools', function () {
+    it('should require a type and reject function tools', function () {
+      assert.throws(() => validate([{}]), /CAP: tool #1 requires a "type"/)
+      assert.throws(() => validate([{ type: 'function', name: 'lookup' }]), /use CHATGPT_FUNCTION_TOOLS instead/)
+      assert.doesNotThrow(() => validate([{ type: 'some_future_tool' }]))
+    })
+
+    it('should validate file_search tools', function () {
+      assert.doesNotThrow(() => validate([{ type: 'file_search', vector_store_ids: ['vs_1'], max_num_results: 5 }]))
+      assert.throws(() => validate([{ type: 'file_search' }]), /CAP: tool #1 \(file_search\) requires "vector_store_ids"/)
+      assert.throws(() => validate([{ type: 'file_search', vector_store_ids: ['vs_1'], max_num_results: 51 }]), /"max_num_results" must be an integer between 1 and 50/)
+    })
+
+    it('should validate mcp tools', function () {
+      assert.doesNotThrow(() => validate([{ type: 'mcp', server_label: 'crm', server_url: 'https://crm.example.com/mcp', require_approval: 'never' }]))
+      assert.throws(() => validate([{ type: 'mcp', server_url: 'https://crm.example.com/mcp' }]), /requires a "server_label"/)
+      assert.throws(() => validate([{ type: 'mcp', server_label: 'crm' }]), /requires a "server_url" or a "connector_id"/)
+      assert.throws(() => validate([{ type: 'mcp', server_label: 'crm', connector_id: 'connector_gmail', allowed_tools: 'search' }]), /"allowed_tools" must be an array of tool names or a filter object/)
+      assert.throws(() => validate([{ type: 'mcp', server_label: 'crm', connector_id: 'connector_gmail', require_approval: 'sometimes' }]), /"require_approval" must be "always", "never" or a filter object/)
+      assert.throws(() => validate([{ type: 'mcp', server_label: 'crm', connector_id: 'connector_gmail', headers: 'x' }]), /"headers" must be an object/)
+    })
+
+    it('should validate code_interpreter tools', function () {
+      assert.doesNotThrow(() => validate([{ type: 'code_interpreter', container: 'cntr_1' }]))
+      assert.doesNotThrow(() => validate([{ type: 'code_interpreter', container: { type: 'auto', file_ids: ['file-1'] } }]))
+      assert.throws(() => validate([{ type: 'code_interpreter', container: { type: 'manual' } }]), /"container" must be a container id/)
+      assert.throws(() => validate([{ type: 'code_interpreter', container: { type: 'auto', file_ids: 'file-1' } }]), /"container.file_ids" must be an array of file ids/)
+    })
+
+    it('should validate web_search tools', function () {
+      assert.doesNotThrow(() => validate([{ type: 'web_search', user_location: { type: 'approximate', city: 'Vienna' }, search_context_size: 'low' }]))
+      assert.throws(() => validate([{ type: 'web_search_preview', user_location: { city: 'Vienna' } }]), /"user_location" must be an object with type "approximate"/)
+      assert.throws(() => validate([{ type: 'web_search', search_context_size: 'huge' }]), /"search_context_size" must be "low", "medium" or "high"/)
+    })
+  })
+
+  describe('parseToolChoice', function () {
+    it('should accept modes and JSON objects', function () {
+      assert.isNull(parseToolChoice({}, 'CAP'))
+      assert.equal(parseToolChoice({ CAP: ' required ' }, 'CAP'), 'required')
+      assert.deepEqual(parseToolChoice({ CAP: '{"type":"file_search"}' }, 'CAP'), { type: 'file_search' })
+      assert.deepEqual(parseToolChoice({ CAP: { type: 'function', name: 'lookup' } }, 'CAP'), { type: 'function', name: 'lookup' })
+    })
+
+    it('should reject invalid tool choices', function () {
+      assert.throws(() => parseToolChoice({ CAP: 'always' }, 'CAP'), /CAP must be one of auto, none, required or a JSON object, got "always"/)
+      assert.throws(() => parseToolChoice({ CAP: '{"type":' }, 'CAP'), /CAP must be valid JSON/)
+      assert.throws(() => parseToolChoice({ CAP: { name: 'lookup' } }, 'CAP'), /JSON object with a "type"/)
+      assert.throws(() => parseToolChoice({ CAP: { type: 'function' } }, 'CAP'), /function tool choice requires a "name"/)
+      assert.throws(() => parseToolChoice({ CAP: { type: 'mcp' } }, 'CAP'), /mcp tool choice requires a "server_label"/)
+    })
+  })
+})
@@ -0,0 +1,60 @@
+const assert = require('chai').assert
+const path = require('path')
+const { loadMcpServerConfigs, toFunctionName, connectMcpServer, callMcpTool, closeMcpServers } = require('../../src/mcpServers')
+
+const testServerConfig = (tools) => ({
+  name: 'unit',
+  transport: 'stdio',
+  command: process.execPath,
+  args: [path.join(__dirname, 'mcpTestServer.js')],
+  env: { MCP_TEST_TOOLS: tools }
+})
+
+describe('mcpServers', function () {
+  describe('loadMcpServerConfigs', function () {
+    it('should derive names and transports', function () {
+      const [stdio, http] = loadMcpServerConfigs({ CAP: [{ command: 'node' }, { url: 'http://localhost:3001/mcp' }] }, 'CAP')
+      assert.include(stdio, { name: 'mcp1', transport: 'stdio', cwd: process.cwd() })
+      assert.include(http, { name: 'mcp2', transport: 'http' })
+    })
+
+    it('should reject invalid definitions', function () {
+      assert.throws(() => loadMcpServerConfigs({ CAP: {} }, 'CAP'), /CAP must be a JSON array/)
+      assert.throws(() => loadMcpServerConfigs({ CAP: [{ transport: 'ws', url: 'ws://localhost' }] }, 'CAP'), /transport of MCP server "mcp1" must be one of/)
+      assert.throws(() => loadMcpServerConfigs({ CAP: [{ transport: 'stdio' }] }, 'CAP'), /requires a "command"/)
+      assert.throws(() => loadMcpServerConfigs({ CAP: [{ url: 'http://localhost', allowedTools: 'a' }] }, 'CAP'), /"allowedTools" of MCP server "mcp1" must be an array/)
+    })
+  })
+
+  describe('toFunctionName', function () {
+    it('should convert tool names to valid function names', function () {
+      assert.equal(toFunctionName('crm_findCustomer'), 'crm_findCustomer')
+      assert.equal(toFunctionName('orders.find by-id'), 'orders_find_by-id')
+      assert.equal(toFunctionName('x'.repeat(70)), 'x'.repeat(64))
+    })
+  })
+
+  describe('connectMcpServer', function () {
+    this.timeout(10000)
+
+    it('should call the tools with the original MCP tool name', async function () {
+      const server = await connectMcpServer(Object.assign(testServerConfig('orders.find'), { prefix: 'shop:' }))
+      try {
+        assert.deepEqual(server.tools.map(t => [t.name, t.mcpName]), [['shop_orders_find', 'orders.find']])
+        const { output } = await callMcpTool(server, server.tools[0], { id: 1 })
+        assert.equal(output, 'orders.find called with {"id":1}')
+      } finally {
+        await closeMcpServers([server])
+      }
+    })
+
+    it('should report servers that cannot be started', async function () {
+      try {
+        await connectMcpServer({ name: 'missing', transport: 'stdio', command: path.join(__dirname, 'missing-mcp-server') })
+        assert.fail('expected an error')
+      } catch (err) {
+        assert.match(err.message, /^Cannot connect to MCP server "missing"/)
+      }
+    })
+  })
+})
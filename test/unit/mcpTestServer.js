@@ -0,0 +1,13 @@
+// MCP server for the unit tests (stdio transport), offering the tools listed in the MCP_TEST_TOOLS environment variable
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js')
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js')
+const { ListToolsRequestSchema, CallToolRequestSchema } = require('@modelcontextprotocol/sdk/types.js')
+
+const server = new Server({ name: 'unit-test', version: '1.0.0' }, { capabilities: { tools: {} } })
+server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  tools: process.env.MCP_TEST_TOOLS.split(',').map(name => ({ name, inputSchema: { type: 'object', properties: {} } }))
+}))
+server.setRequestHandler(CallToolRequestSchema, async (request) => ({
+  content: [{ type: 'text', text: `${request.params.name} called with ${JSON.stringify(request.params.arguments)}` }]
+}))
+server.connect(new StdioServerTransport())
@@ -0,0 +1,67 @@
+const assert = require('chai').assert
+const XLSX = require('xlsx')
+const { spreadsheetToText, officeDocumentToText } = require('../../src/officeDocuments')
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+
+const createXlsx = (sheets) => {
+  const workbook = XLSX.utils.book_new()
+  for (const [name, rows] of Object.entries(sheets)) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name)
+  }
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+}
+
+const createZip = (entries) => {
+  const archive = XLSX.CFB.utils.cfb_new()
+  for (const [entryPath, content] of Object.entries(entries)) {
+    XLSX.CFB.utils.cfb_add(archive, `/${entryPath}`, Buffer.from(content, 'utf8'))
+  }
+  return Buffer.from(XLSX.CFB.write(archive, { type: 'buffer', fileType: 'zip' }))
+}
+
+describe('officeDocuments', function () {
+  describe('spreadsheetToText', function () {
+    it('should read CSV as UTF-8', function () {
+      const text = spreadsheetToText(Buffer.from('Produkt,Preis\nÄpfel,3 €\n', 'utf8'), 'text/csv')
+      assert.include(text, '| Äpfel | 3 € |')
+    })
+
+    it('should ignore the byte order mark of CSV', function () {
+      const text = spreadsheetToText(Buffer.from('\uFEFFName,Wert\nGrüße,1\n', 'utf8'), 'application/csv', { format: 'csv' })
+      assert.equal(text, 'Sheet "Sheet1":\nName,Wert\nGrüße,1')
+    })
+
+    it('should convert each sheet to a Markdown table', function () {
+      const text = spreadsheetToText(createXlsx({ Orders: [['Id', 'Item'], [1, 'A|B']], Empty: [] }), XLSX_MIME_TYPE)
+      assert.equal(text, 'Sheet "Orders":\n| Id | Item |\n| --- | --- |\n| 1 | A\\|B |\n\nSheet "Empty": (empty)')
+    })
+
+    it('should quote CSV values', function () {
+      const text = spreadsheetToText(createXlsx({ S: [['a', 'b'], ['x,y', 'say "hi"']] }), XLSX_MIME_TYPE, { format: 'csv' })
+      assert.equal(text, 'Sheet "S":\na,b\n"x,y","say ""hi"""')
+    })
+
+    it('should limit the rows per sheet', function () {
+      const text = spreadsheetToText(createXlsx({ S: [['h'], [1], [2], [3]] }), XLSX_MIME_TYPE, { maxRows: 2 })
+      assert.include(text, '| 2 |')
+      assert.notInclude(text, '| 3 |')
+      assert.include(text, '[... 1 more rows omitted]')
+    })
+
+    it('should truncate the text', function () {
+      const text = spreadsheetToText(Buffer.from('abcdefghij\n'), 'text/csv', { format: 'csv', maxChars: 5 })
+      assert.match(text, /^Sheet\n\[\.\.\. truncated, \d+ more characters\]$/)
+    })
+  })
+
+  describe('officeDocumentToText', function () {
+    it('should extract the paragraphs of docx', function () {
+      const buffer = createZip({
+        'word/document.xml': '<w:document><w:body><w:p><w:r><w:t>Hello</w:t></w:r><w:r><w:tab/><w:t xml:space="preserve">Ärger &amp; more</w:t></w:r></w:p><w:p></w:p><w:p><w:r><w:t>Second</w:t></w:r></w:p></w:body></w:document>'
+      })
+      assert.equal(officeDocumentToText(buffer, DOCX_MIME_TYPE), 'Hello\tÄrger & more\nSecond')
+    })
+  })
+})
@@ -0,0 +1,71 @@
+const assert = require('chai').assert
+const { extractGeneratedImages, extractContainerFileCitations, downloadContainerFile, toBotMsgFiles } = require('../../src/outputFiles')
+
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00])
+
+const citationMessage = (...annotations) => ({
+  type: 'message',
+  content: [{ type: 'output_text', text: 'Here is your file', annotations }]
+})
+
+describe('outputFiles', function () {
+  describe('extractGeneratedImages', function () {
+    it('should detect the image format of the generated images', function () {
+      const files = extractGeneratedImages([
+        { output: [{ type: 'image_generation_call', id: 'ig_1', result: JPEG.toString('base64'), revised_prompt: 'A cat' }] },
+        { output: [{ type: 'image_generation_call', id: 'ig_2', result: Buffer.from('png').toString('base64') }, { type: 'image_generation_call', id: 'ig_3' }] }
+      ])
+      assert.deepEqual(files.map(f => [f.name, f.mimeType, f.altText]), [['ig_1.jpg', 'image/jpeg', 'A cat'], ['ig_2.png', 'image/png', null]])
+      assert.deepEqual(files[0].buffer, JPEG)
+    })
+  })
+
+  describe('extractContainerFileCitations', function () {
+    it('should collect the container file citations of all responses without duplicates', function () {
+      const citation = { type: 'container_file_citation', container_id: 'cntr_1', file_id: 'cfile_1', filename: 'table.csv' }
+      const citations = extractContainerFileCitations([
+        { output: [citationMessage(citation, { type: 'url_citation', url: 'https://botium.ai' })] },
+        { output: [citationMessage(citation), { type: 'code_interpreter_call' }] }
+      ])
+      assert.deepEqual(citations, [citation])
+    })
+  })
+
+  describe('downloadContainerFile', function () {
+    it('should download the file content with the request function', async function () {
+      const calls = []
+      const openai = {
+        containers: {
+          files: {
+            content: {
+              retrieve: async (fileId, params) => {
+                calls.push([fileId, params])
+                return new Response('a,b\n1,2')
+              }
+            }
+          }
+        }
+      }
+      const requests = []
+      const file = await downloadContainerFile(openai, { container_id: 'cntr_1', file_id: 'cfile_1', filename: 'table.csv' }, (name, fn) => {
+        requests.push(name)
+        return fn()
+      })
+      assert.deepEqual(requests, ['containers.files.content.retrieve'])
+      assert.deepEqual(calls, [['cfile_1', { container_id: 'cntr_1' }]])
+      assert.include(file, { name: 'table.csv', mimeType: 'text/csv' })
+      assert.equal(file.buffer.toString('utf8'), 'a,b\n1,2')
+    })
+  })
+
+  describe('toBotMsgFiles', function () {
+    it('should convert images to media and other files to attachments', function () {
+      const { media, attachments } = toBotMsgFiles([
+        { name: 'ig_1.jpg', mimeType: 'image/jpeg', buffer: JPEG, altText: null },
+        { name: 'report.bin', mimeType: 'application/octet-stream', buffer: Buffer.from('data') }
+      ])
+      assert.deepEqual(media, [{ mediaUri: 'ig_1.jpg', mimeType: 'image/jpeg', buffer: JPEG, altText: 'ig_1.jpg' }])
+      assert.deepEqual(attachments, [{ name: 'report.bin', mimeType: 'application/octet-stream', base64: Buffer.from('data').toString('base64') }])
+    })
+  })
+})
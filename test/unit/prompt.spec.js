@@ -0,0 +1,70 @@
+const assert = require('chai').assert
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { renderPrompt, loadPromptTemplate, loadPromptVariables, loadStoredPrompt, toPromptParam } = require('../../src/prompt')
+
+const STORED_PROMPT_CAPS = { idCapName: 'ID', versionCapName: 'VERSION', variablesCapName: 'VARIABLES' }
+
+describe('prompt', function () {
+  describe('renderPrompt', function () {
+    it('should render variables and nested values', function () {
+      assert.equal(renderPrompt('Hello {{ user.name }} in {{locale}}', { user: { name: 'Anna' }, locale: 'de-AT' }), 'Hello Anna in de-AT')
+    })
+
+    it('should leave placeholders without value unchanged', function () {
+      assert.equal(renderPrompt('Greet the user as {{customer.name}} and {{user.name}}', { user: { name: 'Anna' } }), 'Greet the user as {{customer.name}} and Anna')
+    })
+
+    it('should provide built-in date variables', function () {
+      assert.match(renderPrompt('{{date}} {{time}}', {}), /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/)
+      assert.equal(renderPrompt('{{date}}', { date: '2024-01-01' }), '2024-01-01')
+    })
+  })
+
+  describe('loadPromptTemplate', function () {
+    it('should read the prompt file', function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'botium-prompt-'))
+      try {
+        fs.writeFileSync(path.join(dir, 'prompt.md'), 'You are {{assistant}}')
+        assert.equal(loadPromptTemplate({ PROMPT_FILE: path.join(dir, 'prompt.md') }, 'PROMPT', 'PROMPT_FILE'), 'You are {{assistant}}')
+        assert.throws(() => loadPromptTemplate({ PROMPT_FILE: path.join(dir, 'missing.md') }, 'PROMPT', 'PROMPT_FILE'), /PROMPT_FILE: cannot read file/)
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+      assert.equal(loadPromptTemplate({}, 'PROMPT', 'PROMPT_FILE'), '')
+    })
+
+    it('should reject prompt and prompt file together', function () {
+      assert.throws(() => loadPromptTemplate({ PROMPT: 'x', PROMPT_FILE: 'y' }, 'PROMPT', 'PROMPT_FILE'), /mutually exclusive/)
+    })
+  })
+
+  describe('loadPromptVariables', function () {
+    it('should require a JSON object', function () {
+      assert.deepEqual(loadPromptVariables({ VARIABLES: '{"locale":"de-AT"}' }, 'VARIABLES'), { locale: 'de-AT' })
+      assert.deepEqual(loadPromptVariables({}, 'VARIABLES'), {})
+      assert.throws(() => loadPromptVariables({ VARIABLES: ['de-AT'] }, 'VARIABLES'), /VARIABLES must be a JSON object of variable names and values/)
+    })
+  })
+
+  describe('stored prompts', function () {
+    it('should require the prompt id for version and variables', function () {
+      assert.throws(() => loadStoredPrompt({ VERSION: '2' }, STORED_PROMPT_CAPS), /ID capability required for VERSION/)
+      assert.isNull(loadStoredPrompt({}, STORED_PROMPT_CAPS))
+    })
+
+    it('should reject invalid variable values', function () {
+      assert.throws(() => loadStoredPrompt({ ID: 'pmpt_1', VARIABLES: { a: 1 } }, STORED_PROMPT_CAPS), /variable "a" must be a string/)
+    })
+
+    it('should render the variables of the prompt parameter', function () {
+      const storedPrompt = loadStoredPrompt({ ID: 'pmpt_1', VERSION: 4, VARIABLES: { name: '{{user.name}}', note: { type: 'input_text', text: 'for {{user.name}}' } } }, STORED_PROMPT_CAPS)
+      assert.deepEqual(toPromptParam(storedPrompt, { user: { name: 'Anna' } }), {
+        id: 'pmpt_1',
+        version: '4',
+        variables: { name: 'Anna', note: { type: 'input_text', text: 'for Anna' } }
+      })
+    })
+  })
+})
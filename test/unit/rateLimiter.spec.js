@@ -0,0 +1,58 @@
+const assert = require('chai').assert
+const { RateLimiter, getRateLimiter } = require('../../src/rateLimiter')
+
+const isPending = async (promise) => {
+  const pending = {}
+  return (await Promise.race([promise, new Promise(resolve => setImmediate(() => resolve(pending)))])) === pending
+}
+
+describe('rateLimiter', function () {
+  describe('RateLimiter', function () {
+    it('should limit concurrent requests', async function () {
+      const limiter = new RateLimiter({ maxConcurrent: 1 })
+      const first = await limiter.acquire(10)
+      const second = limiter.acquire(10)
+      assert.isTrue(await isPending(second))
+      first.release(5)
+      const slot = await second
+      slot.release()
+      assert.equal(limiter.active, 0)
+    })
+
+    it('should limit requests per minute', async function () {
+      const limiter = new RateLimiter({ rpm: 2 })
+      await limiter.acquire(1)
+      await limiter.acquire(1)
+      const third = limiter.acquire(1)
+      assert.isTrue(await isPending(third))
+      assert.isNotNull(limiter.timer)
+      clearTimeout(limiter.timer)
+    })
+
+    it('should limit tokens per minute with the actual token count', async function () {
+      const limiter = new RateLimiter({ tpm: 100 })
+      const first = await limiter.acquire(80)
+      const second = limiter.acquire(50)
+      assert.isTrue(await isPending(second))
+      // The response used fewer tokens than estimated
+      first.release(20)
+      await second
+      assert.deepEqual(limiter.entries.map(e => e.tokens), [20, 50])
+    })
+
+    it('should grant a single request above the token limit', async function () {
+      const limiter = new RateLimiter({ tpm: 100 })
+      const slot = await limiter.acquire(500)
+      slot.release()
+    })
+  })
+
+  describe('getRateLimiter', function () {
+    it('should share the limiter of an endpoint and API key', function () {
+      const limiter = getRateLimiter('https://api.openai.com/v1', 'sk-unit-test', { rpm: 10 })
+      assert.strictEqual(getRateLimiter('https://api.openai.com/v1', 'sk-unit-test', { rpm: 20 }), limiter)
+      assert.equal(limiter.rpm, 20)
+      assert.notStrictEqual(getRateLimiter('https://api.openai.com/v1', 'sk-other-key', { rpm: 10 }), limiter)
+    })
+  })
+})
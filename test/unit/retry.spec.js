@@ -0,0 +1,89 @@
+const assert = require('chai').assert
+const { APIConnectionTimeoutError, APIConnectionError } = require('openai')
+const { classifyError, getRetryDelay, withRetry } = require('../../src/retry')
+
+const RETRY_OPTIONS = { initialDelay: 1000, maxDelay: 60000 }
+
+describe('retry', function () {
+  describe('classifyError', function () {
+    it('should classify HTTP status codes', function () {
+      assert.include(classifyError({ status: 429, message: 'Rate limit reached' }), { type: 'rate_limit', retryable: true, status: 429 })
+      assert.include(classifyError({ status: 429, code: 'insufficient_quota' }), { type: 'quota', retryable: false })
+      assert.include(classifyError({ status: 401 }), { type: 'auth', retryable: false })
+      assert.include(classifyError({ status: 503 }), { type: 'server', retryable: true })
+      assert.include(classifyError({ status: 400 }), { type: 'bad_request', retryable: false })
+    })
+
+    it('should classify by error code and message', function () {
+      assert.include(classifyError({ status: 400, code: 'context_length_exceeded' }), { type: 'context_length' })
+      assert.include(classifyError({ status: 400, message: 'Your request was rejected by our content management policy' }), { type: 'content_filter' })
+      assert.include(classifyError({ status: 400, code: 'cassette_mismatch' }), { type: 'cassette_mismatch', retryable: false })
+    })
+
+    it('should classify timeouts and network errors', function () {
+      assert.include(classifyError(new APIConnectionTimeoutError()), { type: 'timeout', retryable: true })
+      assert.include(classifyError(new APIConnectionError({ message: 'ECONNRESET' })), { type: 'network', retryable: true })
+    })
+  })
+
+  describe('getRetryDelay', function () {
+    it('should use the retry-after headers', function () {
+      assert.equal(getRetryDelay({ status: 429, headers: { 'retry-after-ms': '250' } }, 0, RETRY_OPTIONS), 250)
+      assert.equal(getRetryDelay({ status: 429, headers: { 'retry-after': '2' } }, 0, RETRY_OPTIONS), 2000)
+    })
+
+    it('should use the longest rate limit reset', function () {
+      const headers = new Headers({ 'x-ratelimit-reset-requests': '1s', 'x-ratelimit-reset-tokens': '6m0s' })
+      assert.equal(getRetryDelay({ status: 429, headers }, 0, RETRY_OPTIONS), 60000)
+      assert.equal(getRetryDelay({ status: 429, headers: { 'x-ratelimit-reset-tokens': '1.5s' } }, 0, RETRY_OPTIONS), 1500)
+    })
+
+    it('should back off exponentially without headers', function () {
+      const delay = getRetryDelay({ status: 500 }, 2, RETRY_OPTIONS)
+      assert.isAtLeast(delay, 3000)
+      assert.isAtMost(delay, 4000)
+    })
+  })
+
+  describe('withRetry', function () {
+    it('should retry transient errors', async function () {
+      let calls = 0
+      const result = await withRetry(async () => {
+        if (++calls < 3) throw Object.assign(new Error('Service unavailable'), { status: 503 })
+        return 'ok'
+      }, { maxRetries: 2, initialDelay: 1 })
+      assert.equal(result, 'ok')
+      assert.equal(calls, 3)
+    })
+
+    it('should not retry other errors', async function () {
+      let calls = 0
+      try {
+        await withRetry(async () => {
+          calls++
+          throw Object.assign(new Error('Invalid API key'), { status: 401 })
+        }, { maxRetries: 2, initialDelay: 1 })
+        assert.fail('expected an error')
+      } catch (err) {
+        assert.equal(err.classification.type, 'auth')
+        assert.equal(err.attempts, 1)
+      }
+      assert.equal(calls, 1)
+    })
+
+    it('should give up after the maximum retries', async function () {
+      let calls = 0
+      try {
+        await withRetry(async () => {
+          calls++
+          throw Object.assign(new Error('Rate limit reached'), { status: 429, headers: { 'retry-after-ms': '1' } })
+        }, { maxRetries: 1, initialDelay: 1 })
+        assert.fail('expected an error')
+      } catch (err) {
+        assert.equal(err.classification.type, 'rate_limit')
+        assert.equal(err.attempts, 2)
+      }
+      assert.equal(calls, 2)
+    })
+  })
+})
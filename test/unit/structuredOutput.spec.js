@@ -0,0 +1,76 @@
+const assert = require('chai').assert
+const { loadOutputSchema, loadOutputMapping, parseStructuredOutput, mapStructuredOutput } = require('../../src/structuredOutput')
+
+const SCHEMA = {
+  title: 'support reply',
+  type: 'object',
+  additionalProperties: false,
+  required: ['reply', 'intent'],
+  properties: {
+    reply: { type: 'string' },
+    intent: { type: 'string', enum: ['greeting', 'order_status'] },
+    contact: { type: 'string', format: 'email' }
+  }
+}
+
+describe('structuredOutput', function () {
+  describe('loadOutputSchema', function () {
+    it('should compile the schema and derive the schema name', function () {
+      const outputSchema = loadOutputSchema({ CAP: JSON.stringify(SCHEMA) }, 'CAP', true)
+      assert.include(outputSchema, { name: 'support_reply', strict: true })
+      assert.isFunction(outputSchema.validate)
+      assert.equal(loadOutputSchema({ CAP: { type: 'object' } }, 'CAP', false).name, 'structured_output')
+      assert.isNull(loadOutputSchema({}, 'CAP', true))
+    })
+
+    it('should reject invalid schemas', function () {
+      assert.throws(() => loadOutputSchema({ CAP: { type: 'array' } }, 'CAP', true), /CAP must be a JSON schema with "type": "object"/)
+      assert.throws(() => loadOutputSchema({ CAP: { type: 'object', properties: { a: { type: 'unknown' } } } }, 'CAP', true), /CAP is not a valid JSON schema/)
+    })
+  })
+
+  describe('loadOutputMapping', function () {
+    it('should require paths for all fields', function () {
+      assert.deepEqual(loadOutputMapping({ CAP: '{"messageText":"reply"}' }, 'CAP'), { messageText: 'reply' })
+      assert.throws(() => loadOutputMapping({ CAP: { messageText: 1 } }, 'CAP'), /CAP must be a JSON object of bot message fields to paths/)
+    })
+  })
+
+  describe('parseStructuredOutput', function () {
+    it('should report schema violations', function () {
+      const outputSchema = loadOutputSchema({ CAP: SCHEMA }, 'CAP', true)
+      assert.deepEqual(parseStructuredOutput('{"reply":"Hi","intent":"greeting"}', outputSchema), { reply: 'Hi', intent: 'greeting' })
+      assert.throws(() => parseStructuredOutput('{"reply":"Hi","intent":"smalltalk","contact":"nobody"}', outputSchema),
+        'Structured output does not match the output schema: /intent must be equal to one of the allowed values, /contact must match format "email"')
+      assert.throws(() => parseStructuredOutput('{"reply":', outputSchema), /^Structured output is not valid JSON/)
+    })
+  })
+
+  describe('mapStructuredOutput', function () {
+    it('should map to bot message fields', function () {
+      const parsed = {
+        reply: { text: 'Hi' },
+        quickReplies: ['Yes', { text: 'No', payload: 'NO' }],
+        carousel: [{ title: 'Order', buttons: 'Track' }],
+        intent: 'greeting',
+        entities: ['order'],
+        analysis: { sentiment: 'positive' }
+      }
+      assert.deepEqual(mapStructuredOutput(parsed, {
+        messageText: 'reply',
+        buttons: 'quickReplies',
+        cards: 'carousel',
+        'nlp.intent': 'intent',
+        'nlp.entities': 'entities',
+        sentiment: 'analysis.sentiment',
+        missing: 'not.there'
+      }), {
+        messageText: '{"text":"Hi"}',
+        buttons: [{ text: 'Yes', payload: 'Yes' }, { text: 'No', payload: 'NO' }],
+        cards: [{ title: 'Order', buttons: [{ text: 'Track', payload: 'Track' }] }],
+        nlp: { intent: { name: 'greeting' }, entities: [{ name: 'order', value: 'order' }] },
+        sentiment: 'positive'
+      })
+    })
+  })
+})
@@ -0,0 +1,41 @@
+const assert = require('chai').assert
+const { emptyUsage, addUsage, validatePrices, findModelPrice, calculateCost } = require('../../src/usage')
+
+describe('usage', function () {
+  describe('addUsage', function () {
+    it('should add the usage blocks of results', function () {
+      const totals = emptyUsage()
+      addUsage(totals, { input_tokens: 100, input_tokens_details: { cached_tokens: 40 }, output_tokens: 20, output_tokens_details: { reasoning_tokens: 5 }, total_tokens: 120 })
+      addUsage(totals, { input_tokens: 10, output_tokens: 2 })
+      addUsage(totals, null)
+      assert.deepEqual(totals, { inputTokens: 110, cachedTokens: 40, outputTokens: 22, reasoningTokens: 5, totalTokens: 132, requests: 3 })
+    })
+  })
+
+  describe('findModelPrice', function () {
+    it('should match exact names and the longest prefix', function () {
+      const prices = { 'gpt-4o': { input: 2.5, output: 10 }, 'gpt-4o-mini': { input: 0.15, output: 0.6 } }
+      assert.equal(findModelPrice(prices, ['gpt-4o-mini-2024-07-18']), prices['gpt-4o-mini'])
+      assert.equal(findModelPrice(prices, ['my-deployment', 'gpt-4o-2024-08-06']), prices['gpt-4o'])
+      assert.isNull(findModelPrice(prices, ['o3']))
+      assert.isNull(findModelPrice(null, ['gpt-4o']))
+    })
+  })
+
+  describe('calculateCost', function () {
+    it('should price cached input tokens separately', function () {
+      const usage = Object.assign(emptyUsage(), { inputTokens: 1000000, cachedTokens: 400000, outputTokens: 100000 })
+      assert.equal(calculateCost(usage, { input: 2, cachedInput: 0.5, output: 10 }), 1.2 + 0.2 + 1)
+      assert.equal(calculateCost(usage, { input: 2, output: 10 }), 3)
+      assert.isNull(calculateCost(usage, null))
+    })
+  })
+
+  describe('validatePrices', function () {
+    it('should reject invalid price tables', function () {
+      assert.doesNotThrow(() => validatePrices({ 'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10 } }, 'CAP'))
+      assert.throws(() => validatePrices([], 'CAP'), /CAP must be a JSON object of model names to prices/)
+      assert.throws(() => validatePrices({ 'gpt-4o': { input: '2.5', output: 10 } }, 'CAP'), /CAP: prices for "gpt-4o" must be an object/)
+    })
+  })
+})
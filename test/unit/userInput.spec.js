@@ -0,0 +1,42 @@
+const assert = require('chai').assert
+const { collectButtons, buttonsToText, formsToText } = require('../../src/userInput')
+
+const OFFERED = collectButtons([
+  { messageText: 'What next?', buttons: [{ text: 'Track order', payload: 'track_order' }, { text: 'Help' }] },
+  { cards: [{ title: 'Order 4711', buttons: [{ text: 'Cancel order', payload: { action: 'cancel', order: 4711 } }] }, { title: 'No buttons' }] },
+  { buttons: [{}] }
+])
+
+describe('userInput', function () {
+  describe('collectButtons', function () {
+    it('should collect message and card buttons', function () {
+      assert.deepEqual(OFFERED.map(b => b.text), ['Track order', 'Help', 'Cancel order'])
+    })
+  })
+
+  describe('buttonsToText', function () {
+    it('should complete clicked buttons from the offered buttons', function () {
+      assert.deepEqual(buttonsToText([{ payload: 'track_order' }, { text: 'Cancel order' }, { text: 'Help' }, { payload: 'unknown' }], OFFERED), [
+        'User clicked the button "Track order" (payload: track_order)',
+        'User clicked the button "Cancel order" (payload: {"action":"cancel","order":4711})',
+        'User clicked the button "Help" (payload: Help)',
+        'User clicked the button "unknown" (payload: unknown)'
+      ])
+    })
+
+    it('should match object payloads by their JSON and use the template', function () {
+      assert.deepEqual(buttonsToText([{ payload: { order: 4711, action: 'cancel' } }, { payload: { action: 'cancel', order: 4711 } }], OFFERED, '{{text}}'), [
+        '{"order":4711,"action":"cancel"}',
+        'Cancel order'
+      ])
+    })
+  })
+
+  describe('formsToText', function () {
+    it('should render one line per field or JSON', function () {
+      const forms = [{ name: 'email', value: 'jane@example.com' }, { name: 'topics', value: ['billing', 'shipping'] }]
+      assert.equal(formsToText(forms), 'User submitted the form:\nemail: jane@example.com\ntopics: ["billing","shipping"]')
+      assert.equal(formsToText(forms, 'Form {{json}}'), 'Form {"email":"jane@example.com","topics":["billing","shipping"]}')
+    })
+  })
+})
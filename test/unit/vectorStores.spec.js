@@ -0,0 +1,126 @@
+const assert = require('chai').assert
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { collectDocumentFiles, computeContentHash, provisionVectorStore, deleteVectorStore } = require('../../src/vectorStores')
+
+// OpenAI client with the vector store and file endpoints, recording the calls
+const fakeOpenAi = ({ existing = [], batchStatus = 'completed' } = {}) => {
+  const calls = []
+  let fileCount = 0
+  return {
+    calls,
+    files: {
+      create: async ({ file }) => { calls.push(['files.create', file.name]); return { id: `file-${++fileCount}` } },
+      delete: async (id) => { calls.push(['files.delete', id]) }
+    },
+    vectorStores: {
+      list: async function * () { yield * existing },
+      create: async (params) => { calls.push(['vectorStores.create', params]); return { id: 'vs_new' } },
+      delete: async (id) => { calls.push(['vectorStores.delete', id]) },
+      fileBatches: {
+        create: async (id, params) => {
+          calls.push(['vectorStores.fileBatches.create', id, params])
+          return { id: 'vsfb_1', status: batchStatus, file_counts: { total: params.file_ids.length, completed: 0, failed: batchStatus === 'failed' ? 1 : 0 } }
+        }
+      }
+    }
+  }
+}
+
+const request = (name, fn) => fn()
+
+describe('vectorStores', function () {
+  beforeEach(function () {
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'botium-vectorstores-'))
+    fs.mkdirSync(path.join(this.dir, 'docs', 'faq'), { recursive: true })
+    fs.writeFileSync(path.join(this.dir, 'docs', 'manual.md'), '# Manual')
+    fs.writeFileSync(path.join(this.dir, 'docs', 'faq', 'shipping.txt'), 'Shipping takes 3 days')
+    fs.writeFileSync(path.join(this.dir, 'docs', '.DS_Store'), '')
+  })
+
+  afterEach(function () {
+    fs.rmSync(this.dir, { recursive: true, force: true })
+  })
+
+  describe('collectDocumentFiles', function () {
+    it('should read folders recursively and skip hidden files', function () {
+      const files = collectDocumentFiles({ CAP: path.join(this.dir, 'docs') }, 'CAP')
+      assert.deepEqual(files.map(f => f.name), ['faq/shipping.txt', 'manual.md'])
+    })
+
+    it('should accept lists of paths', function () {
+      const manual = path.join(this.dir, 'docs', 'manual.md')
+      assert.deepEqual(collectDocumentFiles({ CAP: `${manual}, ${manual}` }, 'CAP').map(f => f.name), ['manual.md'])
+      assert.deepEqual(collectDocumentFiles({ CAP: JSON.stringify([manual]) }, 'CAP').map(f => f.name), ['manual.md'])
+      assert.deepEqual(collectDocumentFiles({}, 'CAP'), [])
+    })
+
+    it('should reject missing paths and empty folders', function () {
+      assert.throws(() => collectDocumentFiles({ CAP: path.join(this.dir, 'missing') }, 'CAP'), /CAP: path ".*missing" not found/)
+      fs.mkdirSync(path.join(this.dir, 'empty'))
+      assert.throws(() => collectDocumentFiles({ CAP: path.join(this.dir, 'empty') }, 'CAP'), /CAP: no files found/)
+    })
+  })
+
+  describe('computeContentHash', function () {
+    it('should change with the file contents', function () {
+      const files = collectDocumentFiles({ CAP: path.join(this.dir, 'docs') }, 'CAP')
+      const hash = computeContentHash(files)
+      assert.equal(computeContentHash(files), hash)
+      fs.writeFileSync(path.join(this.dir, 'docs', 'manual.md'), '# Manual v2')
+      assert.notEqual(computeContentHash(files), hash)
+    })
+  })
+
+  describe('provisionVectorStore', function () {
+    it('should upload the files and create the vector store', async function () {
+      const openai = fakeOpenAi()
+      const files = collectDocumentFiles({ CAP: path.join(this.dir, 'docs') }, 'CAP')
+      const provisioned = await provisionVectorStore(openai, { files, contentHash: 'abcdef1234567890', reuse: false, prefix: 'botium-', timeout: 1000, request })
+
+      assert.deepEqual(provisioned, { vectorStoreId: 'vs_new', fileIds: ['file-1', 'file-2'], reused: false })
+      assert.deepEqual(openai.calls, [
+        ['files.create', 'botium-shipping.txt'],
+        ['files.create', 'botium-manual.md'],
+        ['vectorStores.create', { name: 'botium-abcdef123456', metadata: { botium_content_hash: 'abcdef1234567890' } }],
+        ['vectorStores.fileBatches.create', 'vs_new', { file_ids: ['file-1', 'file-2'] }]
+      ])
+    })
+
+    it('should reuse a vector store with the same content hash', async function () {
+      const openai = fakeOpenAi({
+        existing: [
+          { id: 'vs_other', status: 'completed', metadata: { botium_content_hash: 'other' } },
+          { id: 'vs_same', status: 'completed', metadata: { botium_content_hash: 'abcdef' }, file_counts: { failed: 0 } }
+        ]
+      })
+      const files = collectDocumentFiles({ CAP: path.join(this.dir, 'docs') }, 'CAP')
+      const provisioned = await provisionVectorStore(openai, { files, contentHash: 'abcdef', reuse: true, timeout: 1000, request })
+
+      assert.deepEqual(provisioned, { vectorStoreId: 'vs_same', fileIds: [], reused: true })
+      assert.isEmpty(openai.calls)
+    })
+
+    it('should delete the vector store and the files if indexing fails', async function () {
+      const openai = fakeOpenAi({ batchStatus: 'failed' })
+      const files = collectDocumentFiles({ CAP: path.join(this.dir, 'docs', 'manual.md') }, 'CAP')
+      try {
+        await provisionVectorStore(openai, { files, contentHash: 'abcdef', reuse: false, timeout: 1000, request })
+        assert.fail('expected an error')
+      } catch (err) {
+        assert.match(err.message, /^Indexing files in vector store vs_new failed \(status failed, 1 of 1 files failed\)$/)
+      }
+      assert.deepEqual(openai.calls.slice(-2), [['vectorStores.delete', 'vs_new'], ['files.delete', 'file-1']])
+    })
+  })
+
+  describe('deleteVectorStore', function () {
+    it('should ignore failing deletions', async function () {
+      const openai = fakeOpenAi()
+      openai.vectorStores.delete = async () => { throw new Error('Not found') }
+      await deleteVectorStore(openai, { vectorStoreId: 'vs_1', fileIds: ['file-1'] })
+      assert.deepEqual(openai.calls, [['files.delete', 'file-1']])
+    })
+  })
+})